@@ -1,145 +1,1080 @@
 // Cyberpunk 2077 Breach Protocol Solver
 
+/**
+ * How a required sequence is matched against the buffer.
+ * - contiguous: the codes must appear consecutively in the buffer, as the game requires.
+ *   Daemons may still overlap, e.g. "55 1C" and "1C 7A" share the "1C" in "55 1C 7A".
+ * - subsequence: the codes only need to appear in order, with anything in between (the old, loose behaviour)
+ */
+const MATCH_MODES = ['contiguous', 'subsequence'];
+
+/**
+ * Default weights for the in-game daemon tiers.
+ * Each tier is worth more than all lower tiers combined, so an Expert daemon is never traded for two lesser ones.
+ * Quest daemons, such as GAIN ACCESS, are what the breach is for and outrank everything else.
+ */
+const TIER_WEIGHTS = {
+    basic: 1,
+    advanced: 2,
+    expert: 4,
+    legendary: 8,
+    quest: 16
+};
+
+/**
+ * Stands in for a matrix code that couldn't be read, which could be any code.
+ * A cell can also hold an array of the codes it might be, e.g. ["55", "BD"].
+ */
+const WILDCARD = '??';
+
+// Upper bound on remembered bound calculations, to keep memory in check on very large puzzles
+const MEMO_LIMIT = 1000000;
+
 class BreachProtocol {
-    constructor(codeMatrix, requiredSequences, bufferSize) {
+    /**
+     * @param {Array} codeMatrix - 2D array of code buttons, uncertain ones as WILDCARD or an array of candidate codes
+     * @param {Array} requiredSequences - Array of arrays, each containing a sequence
+     * @param {number} bufferSize - Maximum number of buffer entries
+     * @param {Object} [options]
+     * @param {string} [options.matchMode='contiguous'] - One of MATCH_MODES
+     * @param {Array} [options.weights] - Weight per required sequence, as a number or a TIER_WEIGHTS name (default 1 each)
+     * @param {Array} [options.selected] - Cells already selected in-game, as {row, col} in the order they were picked
+     * @param {string} [options.axis] - 'row' or 'col', the line the next code must be picked from (checked against selected)
+     * @param {number} [options.timeBudgetMs] - Stop searching after this long and return the best solution found so far
+     */
+    constructor(codeMatrix, requiredSequences, bufferSize, options = {}) {
+        validatePuzzle(codeMatrix, requiredSequences);
+
+        requiredSequences.forEach((sequence, index) => {
+            if (sequence.includes(WILDCARD)) {
+                throw new Error(`Required sequence ${index + 1} has an unknown code, no path can be sure to upload it`);
+            }
+        });
+
+        if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+            throw new Error(`Invalid buffer size: ${bufferSize}, expected a positive whole number of slots`);
+        }
+
         this.codeMatrix = codeMatrix;
         this.requiredSequences = requiredSequences;
         this.bufferSize = bufferSize;
-        this.size = codeMatrix.length; // Assuming square matrix
+        this.rows = codeMatrix.length;
+        this.cols = codeMatrix[0].length;
+        this.matchMode = options.matchMode || 'contiguous';
+
+        if (!MATCH_MODES.includes(this.matchMode)) {
+            throw new Error(`Unknown match mode "${this.matchMode}", expected one of: ${MATCH_MODES.join(', ')}`);
+        }
+
+        this.weights = this.resolveWeights(options.weights);
+        this.cellMoves = this.buildCellMoves();
+        this.transitions = this.buildTransitions();
+        this.startPath = this.resolveStartPath(options.selected || [], options.axis);
+        this.timeBudgetMs = options.timeBudgetMs;
+
+        if (this.timeBudgetMs !== undefined && !(this.timeBudgetMs > 0)) {
+            throw new Error(`Invalid time budget: ${this.timeBudgetMs}, expected a positive number of milliseconds`);
+        }
     }
 
     /**
-     * Find the optimal solution path
-     * @returns {Object} Solution containing path and completed sequences
+     * Check a mid-game buffer follows the game's rules and turn it into a path of buttons
+     * @param {Array} selected - Cells already selected, as {row, col}
+     * @param {string} [axis] - 'row' or 'col', the line the next code must be picked from
+     * @returns {Array} Path of buttons already in the buffer
      */
-    solve() {
-        // Start with each position in the top row
-        const solutions = [];
+    resolveStartPath(selected, axis) {
+        if (!Array.isArray(selected)) {
+            throw new Error('Selected cells must be an array of {row, col}');
+        }
+
+        if (selected.length > this.bufferSize) {
+            throw new Error(`${selected.length} cells are already selected but the buffer only holds ${this.bufferSize}`);
+        }
 
-        for (let col = 0; col < this.size; col++) {
-            const initialButton = this.codeMatrix[0][col];
-            const initialPath = [{
-                row: 0,
-                col: col,
-                value: initialButton
-            }];
+        const visited = new Set();
+        const path = selected.map((cell, index) => {
+            const { row, col } = cell || {};
+            if (!Number.isInteger(row) || !Number.isInteger(col) ||
+                row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+                throw new Error(`Selected cell ${index + 1} is outside the ${this.rows}x${this.cols} matrix`);
+            }
+
+            if (visited.has(`${row},${col}`)) {
+                throw new Error(`Selected cell ${index + 1} at [${row},${col}] was already selected`);
+            }
+            visited.add(`${row},${col}`);
 
-            const solution = this.explorePath(initialPath, new Set([`0,${col}`]), 'col', new Set());
-            if (solution) {
-                solutions.push(solution);
+            // Picks alternate between the row and the column of the previous pick, starting in the top row
+            const previous = index === 0 ? { row: 0 } : selected[index - 1];
+            const onLine = index % 2 === 0 ? row === previous.row : col === previous.col;
+            if (!onLine) {
+                const line = index === 0 ? 'the top row' : `the ${index % 2 === 0 ? 'row' : 'column'} of the previous pick`;
+                throw new Error(`Selected cell ${index + 1} at [${row},${col}] is not in ${line}`);
             }
+
+            // Nothing is assumed about an uncertain cell that is already in the buffer
+            return this.cellMoves[row][col][0];
+        });
+
+        const expectedAxis = path.length % 2 === 0 ? 'row' : 'col';
+        if (axis !== undefined && axis !== null && axis !== expectedAxis) {
+            throw new Error(`After ${path.length} selected cells the next pick is along the axis "${expectedAxis}", not "${axis}"`);
         }
 
-        // Find best solution (one that completes the most sequences)
-        if (solutions.length === 0) {
-            return { path: [], completedSequences: [] };
+        return path;
+    }
+
+    /**
+     * Turn the weights option into one positive number per required sequence
+     * @param {Array} [weights] - Numbers or tier names
+     * @returns {Array} Numeric weights
+     */
+    resolveWeights(weights) {
+        if (!weights) {
+            return this.requiredSequences.map(() => 1);
+        }
+
+        if (!Array.isArray(weights) || weights.length !== this.requiredSequences.length) {
+            throw new Error(`Expected ${this.requiredSequences.length} weights, one per required sequence`);
         }
 
-        solutions.sort((a, b) => b.completedSequences.length - a.completedSequences.length);
-        return solutions[0];
+        return weights.map((weight, index) => {
+            const value = typeof weight === 'string' ? TIER_WEIGHTS[weight.toLowerCase()] : weight;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                throw new Error(`Invalid weight for sequence ${index + 1}: ${weight}`);
+            }
+            return value;
+        });
     }
 
     /**
-     * Recursively explore possible paths
-     * @param {Array} currentPath - Current path of buttons
-     * @param {Set} visited - Set of visited positions
-     * @param {string} nextDirection - 'row' or 'col' for next selection
-     * @param {Set} completedSequences - Indices of completed sequences
-     * @returns {Object|null} Best solution found or null if no solution
+     * Work out the ways each cell can be picked. A known cell has one.
+     * An uncertain cell can be picked without relying on its code, which is then treated as matching nothing,
+     * or assuming it is one of its candidates that a sequence uses. The first way never assumes anything.
+     * @returns {Array} Moves per cell as {row, col, value}, uncertain cells adding candidates (null for a
+     *   wildcard) and assumed: true where the value is assumed
      */
-    explorePath(currentPath, visited, nextDirection, completedSequences) {
-        // Check if we've used up the buffer
-        if (currentPath.length >= this.bufferSize) {
+    buildCellMoves() {
+        const sequenceCodes = new Set();
+        this.requiredSequences.forEach(sequence => sequence.forEach(code => sequenceCodes.add(code)));
+
+        return this.codeMatrix.map((cells, row) => cells.map((cell, col) => {
+            const candidates = cell === WILDCARD ? null : Array.isArray(cell) ? cell : [cell];
+            if (candidates && new Set(candidates).size === 1) {
+                return [{ row, col, value: candidates[0] }];
+            }
+
+            // Assuming a code no sequence uses gains nothing over not relying on the cell at all
+            const assumable = new Set(candidates || sequenceCodes);
+            return [
+                { row, col, value: WILDCARD, candidates },
+                ...Array.from(assumable)
+                    .filter(code => sequenceCodes.has(code))
+                    .map(code => ({ row, col, value: code, candidates, assumed: true }))
+            ];
+        }));
+    }
+
+    /**
+     * Precompute how each code moves every sequence's progress along, so the search
+     * doesn't have to rescan the whole buffer on every move.
+     * transitions[i][p][code] is the progress of sequence i after adding code at progress p.
+     * @returns {Array} Transition tables, one per required sequence
+     */
+    buildTransitions() {
+        const codes = new Set();
+        this.cellMoves.forEach(row => row.forEach(moves => moves.forEach(move => codes.add(move.value))));
+
+        return this.requiredSequences.map(sequence => {
+            const table = [];
+            for (let progress = 0; progress < sequence.length; progress++) {
+                const prefix = sequence.slice(0, progress);
+                table[progress] = {};
+                codes.forEach(code => {
+                    table[progress][code] = this.sequenceProgress([...prefix, code], sequence);
+                });
+            }
+            return table;
+        });
+    }
+
+    /**
+     * Advance every sequence's progress by one buffer entry
+     * @param {Array} progress - Current progress per sequence
+     * @param {string} value - Code being added to the buffer
+     * @returns {Array} New progress per sequence
+     */
+    advanceProgress(progress, value) {
+        return progress.map((matched, i) => {
+            if (matched === this.requiredSequences[i].length) {
+                return matched;
+            }
+            return this.transitions[i][matched][value];
+        });
+    }
+
+    /**
+     * Total weight of the sequences a progress array has completed
+     * @param {Array} progress - Matched codes per sequence
+     * @returns {number} Score
+     */
+    scoreProgress(progress) {
+        let score = 0;
+        for (let i = 0; i < progress.length; i++) {
+            if (progress[i] === this.requiredSequences[i].length) {
+                score += this.weights[i];
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Find the optimal solution path: the highest total weight of completed sequences,
+     * then the fewest assumed codes of uncertain cells, then the shortest buffer that achieves it
+     * @returns {Object} Solution containing path, completed sequences, score breakdown and whether it is proven optimal
+     */
+    solve() {
+        const [best] = this.solveAll(1);
+        if (best) {
+            return best;
+        }
+
+        // Nothing scores, so all there is to show is the buffer already entered in-game
+        const { path, assumptions } = this.resolveAssumptions(this.startPath);
+        return {
+            path,
+            completedSequences: [],
+            score: this.scorePath(path),
+            assumptions,
+            alreadySelected: this.startPath.length,
+            optimal: !this.timedOut
+        };
+    }
+
+    /**
+     * Find the top distinct solutions, ranked by total weight of completed sequences, then by how many
+     * codes of uncertain cells they rely on, then by buffer used.
+     * Paths are cut off after the move that completes their last sequence, so solutions that only
+     * differ in wasted trailing moves are reported once.
+     * If the time budget runs out, the best solutions found so far are returned with optimal: false.
+     * @param {number} [limit=1] - Maximum number of solutions to return
+     * @returns {Array} Solutions containing path, completed sequences, score breakdown and the assumptions
+     *   the path relies on, best first
+     */
+    solveAll(limit = 1) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Invalid limit: ${limit}, expected a positive whole number of solutions`);
+        }
+
+        this.limit = limit;
+        this.solutions = [];
+        this.solutionKeys = new Set();
+        this.prepareSearch();
+
+        // Cells already selected in-game may have uploaded daemons by themselves, which stand even if
+        // no further pick adds to them. The search only records paths at a move that raises the score.
+        const start = this.scorePath(this.startPath);
+        if (start.total > 0) {
+            const completedAt = Math.max(...start.sequences.map(seq => seq.completedAt || 0));
+            const baseline = this.startPath.slice(0, completedAt);
+            this.recordSolution(baseline, start.total, baseline.filter(pos => pos.assumed).length);
+        }
+
+        // Planned daemon chains give a strong solution up front, which is often provably optimal on its own.
+        // Otherwise it seeds the exhaustive search below so most branches are pruned straight away.
+        const provenOptimal = this.planSolution() && limit === 1;
+
+        if (!provenOptimal) {
+            for (const start of this.searchStarts()) {
+                if (this.timedOut) {
+                    break;
+                }
+                this.explorePath(start.path, start.progress, start.previousScore, start.assumptions);
+            }
+        }
+
+        // Report what each final buffer actually uploads, rather than what was tracked along the way
+        return this.solutions.map(solution => {
+            const { path, assumptions } = this.resolveAssumptions(solution.path);
             return {
-                path: currentPath,
-                completedSequences: Array.from(completedSequences)
+                path,
+                completedSequences: this.findCompletedSequences(path.map(pos => pos.value)),
+                score: this.scorePath(path),
+                assumptions,
+                alreadySelected: this.startPath.length,
+                optimal: !this.timedOut
+            };
+        });
+    }
+
+    /**
+     * Work out what the puzzle allows: which sets of daemons can be uploaded together and the shortest
+     * buffer for each, how many distinct paths reach the best score, and how hard that makes the puzzle.
+     * Every path is enumerated, except where the search bound shows no further daemon can be completed.
+     * Uncertain cells count as each code they might be, so each reading of one is a path of its own.
+     * @returns {Object} Analysis, see analyzePuzzle
+     */
+    analyze() {
+        this.prepareSearch();
+
+        const minBufferByMask = new Map();
+        const pathsByScore = new Map();
+
+        for (const start of this.searchStarts()) {
+            const currentPath = [...start.path];
+            const visited = new Uint32Array(Math.ceil((this.rows * this.cols) / 32));
+            currentPath.forEach(pos => this.toggleVisited(visited, pos));
+
+            // Each node records what its path completes and returns the moves worth trying from it
+            const visitNode = (progress, previousScore) => {
+                const score = this.scoreProgress(progress);
+                if (score > previousScore) {
+                    // Count each path once, at the move that completes its last daemon
+                    pathsByScore.set(score, (pathsByScore.get(score) || 0) + 1);
+
+                    let mask = 0;
+                    progress.forEach((matched, i) => {
+                        if (matched === this.requiredSequences[i].length) {
+                            mask |= 1 << i;
+                        }
+                    });
+                    if (!minBufferByMask.has(mask) || currentPath.length < minBufferByMask.get(mask)) {
+                        minBufferByMask.set(mask, currentPath.length);
+                    }
+                }
+
+                const remaining = this.bufferSize - currentPath.length;
+                const lastPos = currentPath[currentPath.length - 1];
+                if (remaining <= 0 || this.relaxedBound(lastPos, currentPath.length % 2 === 1, remaining, progress)[0] === score) {
+                    return null;
+                }
+                return { progress, score, moves: this.findMoves(currentPath, visited), next: 0 };
             };
+
+            const stack = [];
+            const root = visitNode(start.progress, start.previousScore);
+            if (root) {
+                stack.push(root);
+            }
+
+            while (stack.length > 0 && !this.isOutOfTime()) {
+                const node = stack[stack.length - 1];
+                if (node.next >= node.moves.length) {
+                    stack.pop();
+                    if (stack.length > 0) {
+                        this.toggleVisited(visited, currentPath.pop());
+                    }
+                    continue;
+                }
+
+                const move = node.moves[node.next++];
+                currentPath.push(move);
+                this.toggleVisited(visited, move);
+
+                const child = visitNode(this.advanceProgress(node.progress, move.value), node.score);
+                if (child) {
+                    stack.push(child);
+                } else {
+                    this.toggleVisited(visited, currentPath.pop());
+                }
+            }
         }
 
-        // Check which sequences we've completed so far
-        const pathValues = currentPath.map(pos => pos.value);
-        const newCompletedSequences = new Set(completedSequences);
+        // A set of daemons needs the shortest buffer that completes it, alone or alongside others
+        const subsets = [];
+        for (let subset = 1; subset < (1 << this.requiredSequences.length); subset++) {
+            let minBuffer = null;
+            minBufferByMask.forEach((length, mask) => {
+                if ((mask & subset) === subset && (minBuffer === null || length < minBuffer)) {
+                    minBuffer = length;
+                }
+            });
+
+            const sequences = this.requiredSequences.map((sequence, i) => i).filter(i => subset & (1 << i));
+            subsets.push({
+                sequences,
+                score: sequences.reduce((sum, i) => sum + this.weights[i], 0),
+                achievable: minBuffer !== null,
+                minBuffer
+            });
+        }
+        subsets.sort((a, b) => a.sequences.length - b.sequences.length || (a.sequences.join() < b.sequences.join() ? -1 : 1));
+
+        const everySequence = subsets.find(subset => subset.sequences.length === this.requiredSequences.length);
+        const allAchievable = everySequence ? everySequence.achievable : true;
+        const bestScore = Math.max(0, ...pathsByScore.keys());
+        const winningPaths = pathsByScore.get(bestScore) || 0;
+        const bestSubset = subsets.filter(subset => subset.achievable && subset.score === bestScore)
+            .sort((a, b) => a.minBuffer - b.minBuffer)[0];
+
+        return {
+            bufferSize: this.bufferSize,
+            bestScore,
+            maximumScore: this.weights.reduce((sum, weight) => sum + weight, 0),
+            allAchievable,
+            subsets,
+            winningPaths,
+            difficulty: this.rateDifficulty(bestSubset, winningPaths, allAchievable),
+            complete: !this.timedOut
+        };
+    }
+
+    /**
+     * Rate how hard a puzzle is to solve by hand, from how tight the buffer is and how few paths win
+     * @param {Object|undefined} bestSubset - Best achievable set of daemons, with its minimum buffer
+     * @param {number} winningPaths - Number of distinct paths reaching the best score
+     * @param {boolean} allAchievable - Whether every daemon can be uploaded together
+     * @returns {Object} {rating, points}, rating being 'impossible', 'easy', 'medium', 'hard' or 'very hard'
+     */
+    rateDifficulty(bestSubset, winningPaths, allAchievable) {
+        if (!bestSubset) {
+            return { rating: 'impossible', points: null };
+        }
+
+        const slack = this.bufferSize - bestSubset.minBuffer;
+        let points = 0;
+        points += allAchievable ? 0 : 2; // Having to choose which daemons to give up on
+        points += slack === 0 ? 2 : slack === 1 ? 1 : 0; // No room for filler moves
+        points += winningPaths <= 2 ? 2 : winningPaths <= 10 ? 1 : 0; // Few ways to win
+        points += bestSubset.minBuffer >= 6 ? 1 : 0; // Long chains to plan
+
+        const rating = points <= 1 ? 'easy' : points <= 3 ? 'medium' : points <= 5 ? 'hard' : 'very hard';
+        return { rating, points };
+    }
+
+    /**
+     * Reset the state shared by the searches: time budget, reachable sequences and memoized bounds
+     */
+    prepareSearch() {
+        this.deadline = this.timeBudgetMs ? Date.now() + this.timeBudgetMs : Infinity;
+        this.timedOut = false;
+        this.steps = 0;
+
+        // Sequences using a code that isn't in the matrix can never be completed
+        const available = new Set();
+        this.cellMoves.forEach(row => row.forEach(moves => moves.forEach(move => available.add(move.value))));
+        this.reachable = this.requiredSequences.map(sequence => sequence.every(code => available.has(code)));
+
+        // Search bounds, shared between every path that reaches the same buffer state
+        this.memo = new Map();
+    }
+
+    /**
+     * Where the searches begin: the cells already selected in-game, or each position in the top row
+     * @returns {Array} Starts as {path, progress, previousScore, assumptions}
+     */
+    searchStarts() {
+        const starts = this.startPath.length > 0
+            ? [this.startPath]
+            : this.cellMoves[0].flatMap(moves => moves.map(move => [move]));
+
+        return starts.map(path => {
+            let progress = this.requiredSequences.map(() => 0);
+            let previousScore = 0;
+            path.forEach(pos => {
+                previousScore = this.scoreProgress(progress);
+                progress = this.advanceProgress(progress, pos.value);
+            });
+            return { path, progress, previousScore, assumptions: path.filter(pos => pos.assumed).length };
+        });
+    }
+
+    /**
+     * Check the time budget, only looking at the clock every so often as it is called for every search step
+     * @returns {boolean} True once the budget has run out
+     */
+    isOutOfTime() {
+        if (!this.timedOut && ++this.steps % 1024 === 0 && Date.now() > this.deadline) {
+            this.timedOut = true;
+        }
+        return this.timedOut;
+    }
+
+    /**
+     * Plan daemon chains and search the grid for them, best first.
+     * The first chain found in the grid is recorded as a solution.
+     * @returns {boolean} True if that solution is provably optimal and no further search is needed
+     */
+    planSolution() {
+        const chains = this.planChains();
+        if (chains.length === 0) {
+            return false;
+        }
+
+        // With contiguous matching, every set of sequences the buffer can complete has a chain at least as short
+        // as the buffer needs, so a top scoring chain found without filler can't be beaten.
+        // That doesn't hold mid-game, where codes already in the buffer can form part of a sequence,
+        // nor for subsequence matching, where sequences can interleave in ways no chain merges them.
+        const topScore = chains[0].score;
+        const topLength = chains[0].codes.length;
+        const startLength = this.startPath.length;
+        const startDirection = startLength % 2 === 0 ? 'row' : 'col';
+
+        for (let i = 0; i < chains.length;) {
+            const score = chains[i].score;
+            const group = [];
+            while (i < chains.length && chains[i].score === score) {
+                group.push(chains[i++]);
+            }
+
+            // Try the shortest total buffer first, whether that comes from a short chain with filler or a longer chain without
+            for (let total = group[0].codes.length; total <= this.bufferSize - startLength; total++) {
+                for (const chain of group) {
+                    if (chain.codes.length > total) {
+                        continue;
+                    }
+
+                    const visited = new Set(this.startPath.map(pos => `${pos.row},${pos.col}`));
+                    const filler = total - chain.codes.length;
+                    const path = this.realizeChain(chain.codes, filler, [...this.startPath], visited, startDirection);
+                    if (path) {
+                        const scored = this.scorePath(path);
+                        const completedAt = Math.max(...scored.sequences.map(seq => seq.completedAt || 0));
+                        const solution = path.slice(0, completedAt);
+                        const assumptions = solution.filter(pos => pos.assumed).length;
+                        this.recordSolution(solution, scored.total, assumptions);
+                        return this.matchMode === 'contiguous' && startLength === 0 &&
+                            score === topScore && total === topLength && assumptions === 0;
+                    }
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Enumerate daemon chains: every ordering of every subset of the required sequences,
+     * merged on each possible overlap (e.g. "1C 7A" + "7A E9" -> "1C 7A E9"), that fits within the buffer
+     * @returns {Array} Chains as {codes, order, score}, highest score first, then shortest
+     */
+    planChains() {
+        const chains = new Map();
+        const order = [];
+
+        const extend = (codes) => {
+            if (order.length > 0) {
+                const key = codes.join(' ');
+                if (!chains.has(key)) {
+                    // Score the codes themselves, as a merge can complete other sequences incidentally
+                    const score = this.findCompletedSequences(codes).reduce((sum, index) => sum + this.weights[index], 0);
+                    chains.set(key, { codes, order: [...order], score });
+                }
+            }
+
+            for (let i = 0; i < this.requiredSequences.length; i++) {
+                if (order.includes(i) || !this.reachable[i]) {
+                    continue;
+                }
 
-        for (let i = 0; i < this.requiredSequences.length; i++) {
-            if (!completedSequences.has(i)) {
                 const sequence = this.requiredSequences[i];
-                if (this.isSubsequence(pathValues, sequence)) {
-                    newCompletedSequences.add(i);
+                for (const overlap of this.findOverlaps(codes, sequence)) {
+                    const merged = [...codes, ...sequence.slice(overlap)];
+                    if (merged.length <= this.bufferSize - this.startPath.length) {
+                        order.push(i);
+                        extend(merged);
+                        order.pop();
+                    }
                 }
             }
+        };
+
+        extend([]);
+
+        return Array.from(chains.values())
+            .sort((a, b) => b.score - a.score || a.codes.length - b.codes.length);
+    }
+
+    /**
+     * Find every way the start of one sequence can overlap the end of another
+     * @param {Array} codes - Codes so far
+     * @param {Array} sequence - Sequence to append
+     * @returns {Array} Overlap lengths, longest first, always ending with 0
+     */
+    findOverlaps(codes, sequence) {
+        const overlaps = [];
+
+        for (let length = Math.min(codes.length, sequence.length); length > 0; length--) {
+            const start = codes.length - length;
+            let matched = 0;
+            while (matched < length && codes[start + matched] === sequence[matched]) {
+                matched++;
+            }
+            if (matched === length) {
+                overlaps.push(length);
+            }
         }
 
-        // If we've completed all sequences, return the solution
-        if (newCompletedSequences.size === this.requiredSequences.length) {
-            return {
-                path: currentPath,
-                completedSequences: Array.from(newCompletedSequences)
-            };
+        overlaps.push(0);
+        return overlaps;
+    }
+
+    /**
+     * Search for a path that spells out a chain of codes after a number of free "filler" moves,
+     * continuing from any cells already selected in-game
+     * @param {Array} codes - Chain of codes to spell out
+     * @param {number} filler - Number of unconstrained moves before the chain starts
+     * @param {Array} currentPath - Current path of buttons, modified in place
+     * @param {Set} visited - Set of visited positions, modified in place
+     * @param {string} nextDirection - 'row' or 'col' for next selection
+     * @returns {Array|null} The path, or null if the grid can't realize the chain
+     */
+    realizeChain(codes, filler, currentPath, visited, nextDirection) {
+        if (this.isOutOfTime()) {
+            return null;
+        }
+
+        const depth = currentPath.length;
+        const planned = depth - this.startPath.length;
+        if (planned === filler + codes.length) {
+            return [...currentPath];
         }
 
-        // Try all possible next moves
+        const required = planned >= filler ? codes[planned - filler] : null;
+        const lastPos = currentPath[depth - 1];
+        const nextDir = nextDirection === 'row' ? 'col' : 'row';
+        const lineLength = nextDirection === 'col' ? this.rows : this.cols;
+
+        for (let i = 0; i < lineLength; i++) {
+            // The first move is always taken from the top row
+            const row = depth === 0 ? 0 : (nextDirection === 'col' ? i : lastPos.row);
+            const col = depth === 0 || nextDirection === 'row' ? i : lastPos.col;
+            const posKey = `${row},${col}`;
+            if (visited.has(posKey)) {
+                continue;
+            }
+
+            // Filler doesn't rely on the code it picks, while a chain code may be assumed of an uncertain cell
+            const move = this.cellMoves[row][col].find(option => required === null ? !option.assumed : option.value === required);
+            if (!move) {
+                continue;
+            }
+
+            currentPath.push(move);
+            visited.add(posKey);
+
+            const path = this.realizeChain(codes, filler, currentPath, visited, depth === 0 ? 'col' : nextDir);
+
+            currentPath.pop();
+            visited.delete(posKey);
+
+            if (path) {
+                return path;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Exhaustively explore the paths continuing from a start path with branch and bound,
+     * recording the best in this.solutions.
+     * Uses an explicit stack rather than recursion, with visited cells kept as a bitmask,
+     * so it can stop cleanly when the time budget runs out.
+     * @param {Array} startPath - Path of buttons to continue from, at least one long
+     * @param {Array} progress - Matched codes per sequence after the start path, equal to the sequence length once completed
+     * @param {number} previousScore - Score of the start path before its last move
+     * @param {number} assumptions - Number of codes the start path assumes of uncertain cells
+     */
+    explorePath(startPath, progress, previousScore, assumptions) {
+        const currentPath = [...startPath];
+        const visited = new Uint32Array(Math.ceil((this.rows * this.cols) / 32));
+        currentPath.forEach(pos => this.toggleVisited(visited, pos));
+
+        const stack = [];
+        const root = this.expandNode(currentPath, visited, progress, previousScore, assumptions);
+        if (root) {
+            stack.push(root);
+        }
+
+        while (stack.length > 0 && !this.isOutOfTime()) {
+            const node = stack[stack.length - 1];
+
+            // Solutions found deeper down may mean the rest of this node's moves can no longer compete
+            if (node.next >= node.moves.length || !this.isBetter(node.bound, node.assumptions, currentPath.length + node.movesNeeded)) {
+                stack.pop();
+                if (stack.length > 0) {
+                    this.toggleVisited(visited, currentPath.pop());
+                }
+                continue;
+            }
+
+            const move = node.moves[node.next++];
+            currentPath.push(move);
+            this.toggleVisited(visited, move);
+
+            const child = this.expandNode(currentPath, visited, this.advanceProgress(node.progress, move.value), node.score,
+                node.assumptions + (move.assumed ? 1 : 0));
+            if (child) {
+                stack.push(child);
+            } else {
+                this.toggleVisited(visited, currentPath.pop());
+            }
+        }
+    }
+
+    /**
+     * Score the path so far and work out where the search can go next
+     * @param {Array} currentPath - Current path of buttons
+     * @param {Uint32Array} visited - Bitmask of visited cells
+     * @param {Array} progress - Matched codes per sequence
+     * @param {number} previousScore - Score of the path before its last move
+     * @param {number} assumptions - Number of codes the path assumes of uncertain cells
+     * @returns {Object|null} Search node with the moves to try, or null if nothing further can improve on it
+     */
+    expandNode(currentPath, visited, progress, previousScore, assumptions) {
+        const score = this.scoreProgress(progress);
+
+        // Only paths whose last move completed something are worth reporting, anything longer is wasted moves
+        if (score > previousScore && this.isBetter(score, assumptions, currentPath.length)) {
+            this.recordSolution([...currentPath], score, assumptions);
+        }
+
+        // Check if we've used up the buffer
+        const remaining = this.bufferSize - currentPath.length;
+        if (remaining <= 0) {
+            return null;
+        }
+
+        // Work out the best this branch could still do, and stop if that can't beat what we have
+        const lastPos = currentPath[currentPath.length - 1];
+        const [bound, movesNeeded] = this.relaxedBound(lastPos, currentPath.length % 2 === 1, remaining, progress);
+
+        if (bound === score || !this.isBetter(bound, assumptions, currentPath.length + movesNeeded)) {
+            return null;
+        }
+
+        const possibleMoves = this.findMoves(currentPath, visited);
+
+        // Sort moves based on potential to complete sequences, so good solutions are found early and prune more
+        const moveScores = new Map();
+        possibleMoves.forEach(move => {
+            if (!moveScores.has(move.value)) {
+                moveScores.set(move.value, this.evaluateMove(progress, move.value));
+            }
+        });
+        possibleMoves.sort((a, b) => moveScores.get(a.value) - moveScores.get(b.value));
+
+        return { progress, score, assumptions, bound, movesNeeded, moves: possibleMoves, next: 0 };
+    }
+
+    /**
+     * List the cells that can be picked next
+     * @param {Array} currentPath - Current path of buttons
+     * @param {Uint32Array} visited - Bitmask of visited cells
+     * @returns {Array} Unvisited moves as {row, col, value}, one per reading of an uncertain cell
+     */
+    findMoves(currentPath, visited) {
         const lastPos = currentPath[currentPath.length - 1];
-        const possibleMoves = [];
+        const moves = [];
 
-        if (nextDirection === 'col') {
+        // Picks alternate between the row and the column of the previous pick, starting in the top row
+        if (currentPath.length % 2 === 1) {
             // We're selecting from the current column
-            for (let row = 0; row < this.size; row++) {
-                const posKey = `${row},${lastPos.col}`;
-                if (!visited.has(posKey)) {
-                    possibleMoves.push({
-                        row,
-                        col: lastPos.col,
-                        value: this.codeMatrix[row][lastPos.col]
-                    });
+            for (let row = 0; row < this.rows; row++) {
+                const cellMoves = this.cellMoves[row][lastPos.col];
+                if (!this.isVisited(visited, cellMoves[0])) {
+                    moves.push(...cellMoves);
                 }
             }
         } else {
             // We're selecting from the current row
-            for (let col = 0; col < this.size; col++) {
-                const posKey = `${lastPos.row},${col}`;
-                if (!visited.has(posKey)) {
-                    possibleMoves.push({
-                        row: lastPos.row,
-                        col,
-                        value: this.codeMatrix[lastPos.row][col]
-                    });
+            for (let col = 0; col < this.cols; col++) {
+                const cellMoves = this.cellMoves[lastPos.row][col];
+                if (!this.isVisited(visited, cellMoves[0])) {
+                    moves.push(...cellMoves);
                 }
             }
         }
 
-        // Sort moves based on potential to complete sequences
-        possibleMoves.sort((a, b) => {
-            return this.evaluateMove(pathValues, a.value, newCompletedSequences) -
-                this.evaluateMove(pathValues, b.value, newCompletedSequences);
-        });
+        return moves;
+    }
 
-        // Try each move
-        let bestSolution = null;
+    /**
+     * The best any continuation could do if cells could be picked more than once.
+     * Ignoring visited cells makes this an upper bound that only depends on the last pick and the
+     * buffer state, so it can be memoized and shared between every path that reaches the same state.
+     * @param {Object} pos - Last picked cell as {row, col}
+     * @param {boolean} alongColumn - True if the next pick is from pos's column, false for its row
+     * @param {number} remaining - Buffer entries left
+     * @param {Array} progress - Matched codes per sequence
+     * @returns {Array} [best reachable score, fewest extra moves to reach it]
+     */
+    relaxedBound(pos, alongColumn, remaining, progress) {
+        const score = this.scoreProgress(progress);
+        if (remaining === 0) {
+            return [score, 0];
+        }
 
-        for (const move of possibleMoves) {
-            const newPath = [...currentPath, move];
-            const newVisited = new Set(visited);
-            newVisited.add(`${move.row},${move.col}`);
+        // Pack the state into a number, Map lookups on those are much cheaper than building string keys
+        let key = 0;
+        for (let i = 0; i < progress.length; i++) {
+            key = key * (this.requiredSequences[i].length + 1) + progress[i];
+        }
+        key = ((key * this.rows * this.cols + pos.row * this.cols + pos.col) * (this.bufferSize + 1) + remaining) * 2 + (alongColumn ? 1 : 0);
+
+        const known = this.memo.get(key);
+        if (known) {
+            return known;
+        }
 
-            const nextDir = nextDirection === 'row' ? 'col' : 'row';
-            const solution = this.explorePath(newPath, newVisited, nextDir, newCompletedSequences);
+        let best = [score, 0];
+        const lineLength = alongColumn ? this.rows : this.cols;
+        for (let i = 0; i < lineLength; i++) {
+            const next = alongColumn ? { row: i, col: pos.col } : { row: pos.row, col: i };
+            if (next.row === pos.row && next.col === pos.col) {
+                continue;
+            }
 
-            if (solution) {
-                if (!bestSolution ||
-                    solution.completedSequences.length > bestSolution.completedSequences.length ||
-                    (solution.completedSequences.length === bestSolution.completedSequences.length &&
-                        solution.path.length < bestSolution.path.length)) {
-                    bestSolution = solution;
+            for (const move of this.cellMoves[next.row][next.col]) {
+                const [nextScore, nextMoves] = this.relaxedBound(next, !alongColumn, remaining - 1, this.advanceProgress(progress, move.value));
+                if (nextScore > best[0] || (nextScore === best[0] && nextScore > score && nextMoves + 1 < best[1])) {
+                    best = [nextScore, nextMoves + 1];
                 }
+            }
+        }
+
+        if (this.memo.size < MEMO_LIMIT) {
+            this.memo.set(key, best);
+        }
+        return best;
+    }
+
+    /**
+     * Flip a cell's bit in a visited bitmask
+     * @param {Uint32Array} visited - Bitmask of visited cells, modified in place
+     * @param {Object} pos - Cell as {row, col}
+     */
+    toggleVisited(visited, pos) {
+        const index = pos.row * this.cols + pos.col;
+        visited[index >>> 5] ^= 1 << (index & 31);
+    }
+
+    /**
+     * Check a cell's bit in a visited bitmask
+     * @param {Uint32Array} visited - Bitmask of visited cells
+     * @param {Object} pos - Cell as {row, col}
+     * @returns {boolean} True if the cell has been visited
+     */
+    isVisited(visited, pos) {
+        const index = pos.row * this.cols + pos.col;
+        return (visited[index >>> 5] & (1 << (index & 31))) !== 0;
+    }
+
+    /**
+     * Check whether a score, number of assumptions and buffer length would make it into the ranked solutions
+     * @param {number} score - Total weight of completed sequences
+     * @param {number} assumptions - Codes assumed of uncertain cells
+     * @param {number} length - Buffer entries used
+     * @returns {boolean} True if it beats the worst solution kept so far, or there is still room
+     */
+    isBetter(score, assumptions, length) {
+        if (this.solutions.length < this.limit) {
+            return true;
+        }
+        return this.outranks(score, assumptions, length, this.solutions[this.solutions.length - 1]);
+    }
+
+    /**
+     * Compare a candidate against a recorded solution: higher score first, then fewer assumptions, then shorter
+     * @param {number} score - Total weight of completed sequences
+     * @param {number} assumptions - Codes assumed of uncertain cells
+     * @param {number} length - Buffer entries used
+     * @param {Object} solution - Recorded solution as {path, score, assumptions}
+     * @returns {boolean} True if the candidate ranks above the solution
+     */
+    outranks(score, assumptions, length, solution) {
+        if (score !== solution.score) {
+            return score > solution.score;
+        }
+        if (assumptions !== solution.assumptions) {
+            return assumptions < solution.assumptions;
+        }
+        return length < solution.path.length;
+    }
+
+    /**
+     * Add a solution to the ranking, keeping it sorted and within the limit
+     * @param {Array} path - Path of buttons
+     * @param {number} score - Total weight of completed sequences
+     * @param {number} assumptions - Codes the path assumes of uncertain cells
+     */
+    recordSolution(path, score, assumptions) {
+        const key = path.map(pos => `${pos.row},${pos.col}`).join(' ');
+        if (!this.isBetter(score, assumptions, path.length)) {
+            return;
+        }
+
+        // The same cells can come up again read differently, only the better reading is kept
+        if (this.solutionKeys.has(key)) {
+            const existing = this.solutions.findIndex(solution => solution.key === key);
+            if (!this.outranks(score, assumptions, path.length, this.solutions[existing])) {
+                return;
+            }
+            this.solutions.splice(existing, 1);
+        }
+
+        let index = this.solutions.findIndex(solution => this.outranks(score, assumptions, path.length, solution));
+        if (index === -1) {
+            index = this.solutions.length;
+        }
+
+        this.solutions.splice(index, 0, { path, score, assumptions, key });
+        this.solutionKeys.add(key);
 
-                // If we found a solution that completes all sequences, use it
-                if (solution.completedSequences.length === this.requiredSequences.length) {
-                    return solution;
+        if (this.solutions.length > this.limit) {
+            this.solutionKeys.delete(this.solutions.pop().key);
+        }
+    }
+
+    /**
+     * Find the assumed codes a path really relies on. An assumption the path uploads the same
+     * sequences without is dropped, leaving that cell unread in the path.
+     * @param {Array} path - Path of buttons
+     * @returns {Object} {path, assumptions}, assumptions as {row, col, code, candidates} for every
+     *   uncertain cell whose code has to be right for the path to work
+     */
+    resolveAssumptions(path) {
+        // An unread code matches nothing, so it can only ever lose sequences
+        const completed = this.findCompletedSequences(path.map(pos => pos.value)).length;
+
+        let resolved = path;
+        path.forEach((pos, index) => {
+            if (!pos.assumed) {
+                return;
+            }
+            const unread = [...resolved];
+            unread[index] = this.cellMoves[pos.row][pos.col][0];
+            if (this.findCompletedSequences(unread.map(p => p.value)).length === completed) {
+                resolved = unread;
+            }
+        });
+
+        const assumptions = resolved
+            .filter(pos => pos.assumed)
+            .map(pos => ({ row: pos.row, col: pos.col, code: pos.value, candidates: pos.candidates }));
+        return { path: resolved, assumptions };
+    }
+
+    /**
+     * Break down what a path scores, sequence by sequence
+     * @param {Array} path - Path of buttons
+     * @returns {Object} Total and maximum weight, buffer usage and per-sequence results
+     */
+    scorePath(path) {
+        const completedAt = this.requiredSequences.map(() => null);
+        let progress = this.requiredSequences.map(() => 0);
+
+        path.forEach((pos, index) => {
+            progress = this.advanceProgress(progress, pos.value);
+            progress.forEach((matched, i) => {
+                if (completedAt[i] === null && matched === this.requiredSequences[i].length) {
+                    completedAt[i] = index + 1;
                 }
+            });
+        });
+
+        const sequences = this.requiredSequences.map((sequence, index) => ({
+            index,
+            sequence,
+            weight: this.weights[index],
+            completed: completedAt[index] !== null,
+            completedAt: completedAt[index] // 1-based step that completed it
+        }));
+
+        return {
+            total: sequences.reduce((sum, seq) => sum + (seq.completed ? seq.weight : 0), 0),
+            maximum: this.weights.reduce((sum, weight) => sum + weight, 0),
+            bufferUsed: path.length,
+            bufferSize: this.bufferSize,
+            sequences
+        };
+    }
+
+    /**
+     * Check if the buffer uploads a sequence, using the configured match mode
+     * @param {Array} array - Buffer values to check within
+     * @param {Array} sequence - Sequence to look for
+     * @returns {boolean} True if the sequence is found
+     */
+    containsSequence(array, sequence) {
+        if (this.matchMode === 'subsequence') {
+            return this.isSubsequence(array, sequence);
+        }
+        return this.isContiguousSequence(array, sequence);
+    }
+
+    /**
+     * Find every required sequence the buffer uploads
+     * @param {Array} array - Buffer values
+     * @returns {Array} Indices of the completed sequences
+     */
+    findCompletedSequences(array) {
+        const completed = [];
+        this.requiredSequences.forEach((sequence, index) => {
+            if (this.containsSequence(array, sequence)) {
+                completed.push(index);
+            }
+        });
+        return completed;
+    }
+
+    /**
+     * Check if array contains a sequence as consecutive entries
+     * @param {Array} array - Array to check within
+     * @param {Array} sequence - Sequence to look for
+     * @returns {boolean} True if the sequence is found
+     */
+    isContiguousSequence(array, sequence) {
+        for (let start = 0; start + sequence.length <= array.length; start++) {
+            let matched = 0;
+            while (matched < sequence.length && array[start + matched] === sequence[matched]) {
+                matched++;
+            }
+            if (matched === sequence.length) {
+                return true;
             }
         }
 
-        return bestSolution;
+        return false;
+    }
+
+    /**
+     * How far along a sequence the end of the buffer is.
+     * For contiguous matching this is the longest buffer suffix that is a prefix of the sequence,
+     * because only those codes can still be extended into a full match.
+     * @param {Array} array - Buffer values
+     * @param {Array} sequence - Sequence to measure against
+     * @returns {number} Number of sequence codes matched, equal to sequence.length once complete
+     */
+    sequenceProgress(array, sequence) {
+        if (this.matchMode === 'subsequence') {
+            let matched = 0;
+            for (let i = 0; i < array.length && matched < sequence.length; i++) {
+                if (array[i] === sequence[matched]) {
+                    matched++;
+                }
+            }
+            return matched;
+        }
+
+        if (this.isContiguousSequence(array, sequence)) {
+            return sequence.length;
+        }
+
+        for (let length = Math.min(array.length, sequence.length - 1); length > 0; length--) {
+            const suffixStart = array.length - length;
+            let matched = 0;
+            while (matched < length && array[suffixStart + matched] === sequence[matched]) {
+                matched++;
+            }
+            if (matched === length) {
+                return length;
+            }
+        }
+
+        return 0;
     }
 
     /**
@@ -162,36 +1097,25 @@ class BreachProtocol {
 
     /**
      * Evaluate how promising a move is
-     * @param {Array} currentPath - Current path values
+     * @param {Array} progress - Current progress per sequence
      * @param {string} nextValue - Next potential value
-     * @param {Set} completedSequences - Already completed sequences
      * @returns {number} Lower is better
      */
-    evaluateMove(currentPath, nextValue, completedSequences) {
+    evaluateMove(progress, nextValue) {
         let score = 0;
 
         for (let i = 0; i < this.requiredSequences.length; i++) {
-            if (!completedSequences.has(i)) {
-                const sequence = this.requiredSequences[i];
-
+            const sequence = this.requiredSequences[i];
+            if (progress[i] < sequence.length) {
                 // Check how many items we'd match in the sequence with this move
-                const testPath = [...currentPath, nextValue];
-                let matchCount = 0;
-                let pathIdx = 0;
-
-                for (let seqIdx = 0; seqIdx < sequence.length && pathIdx < testPath.length; pathIdx++) {
-                    if (testPath[pathIdx] === sequence[seqIdx]) {
-                        seqIdx++;
-                        matchCount++;
-                    }
-                }
+                const matchCount = this.transitions[i][progress[i]][nextValue];
 
                 // If this move would complete a sequence, that's great
                 if (matchCount === sequence.length) {
-                    score -= 1000;
+                    score -= 1000 * this.weights[i];
                 } else {
                     // Otherwise, value moves that progress toward completing sequences
-                    score -= matchCount * 10;
+                    score -= matchCount * 10 * this.weights[i];
                 }
             }
         }
@@ -200,18 +1124,105 @@ class BreachProtocol {
     }
 }
 
+/**
+ * Check the matrix is a non-empty grid with the same number of codes in every row, and every required
+ * sequence a non-empty list of codes. The matrix doesn't need to be square, modded games use grids like 5x6 or 8x6.
+ * Candidate sets for uncertain cells must list at least one code.
+ * @param {Array} codeMatrix - 2D array of code buttons
+ * @param {Array} requiredSequences - Array of arrays, each containing a sequence
+ */
+function validatePuzzle(codeMatrix, requiredSequences) {
+    if (!Array.isArray(codeMatrix) || codeMatrix.length === 0) {
+        throw new Error('Code matrix must be a non-empty array of rows');
+    }
+
+    codeMatrix.forEach((row, index) => {
+        if (!Array.isArray(row) || row.length === 0) {
+            throw new Error(`Row ${index + 1} of the code matrix is empty or not an array`);
+        }
+        if (row.length !== codeMatrix[0].length) {
+            throw new Error(`Row ${index + 1} of the code matrix has ${row.length} codes, expected ${codeMatrix[0].length} like row 1`);
+        }
+        row.forEach((cell, col) => {
+            if (Array.isArray(cell)) {
+                if (cell.length === 0 || !cell.every(code => isCode(code) && code !== WILDCARD)) {
+                    throw new Error(`Cell [${index},${col}] of the code matrix must list at least one candidate code`);
+                }
+            } else if (!isCode(cell)) {
+                throw new Error(`Row ${index + 1} of the code matrix has ${JSON.stringify(cell)} in column ${col + 1}, expected a code such as "1C"`);
+            }
+        });
+    });
+
+    if (!Array.isArray(requiredSequences)) {
+        throw new Error('Required sequences must be an array of sequences');
+    }
+
+    requiredSequences.forEach((sequence, index) => {
+        if (!Array.isArray(sequence) || sequence.length === 0) {
+            throw new Error(`Required sequence ${index + 1} is empty or not an array`);
+        }
+        sequence.forEach((code, position) => {
+            if (!isCode(code)) {
+                throw new Error(`Required sequence ${index + 1} has ${JSON.stringify(code)} at position ${position + 1}, expected a code such as "1C"`);
+            }
+        });
+    });
+}
+
+/**
+ * @param {*} code - Value from a puzzle
+ * @returns {boolean} True for a non-empty string, the only thing a code can be
+ */
+function isCode(code) {
+    return typeof code === 'string' && code.length > 0;
+}
+
 /**
  * Main function to solve the breach protocol
  * @param {Array} codeMatrix - 2D array of code buttons
  * @param {Array} requiredSequences - Array of arrays, each containing a sequence
  * @param {number} bufferSize - Maximum number of buffer entries
- * @returns {Object} Solution object with path and completed sequences
+ * @param {Object} [options] - Solver options, see the BreachProtocol constructor
+ * @returns {Object} Solution object with path, completed sequences and score breakdown
  */
-function solveBreachProtocol(codeMatrix, requiredSequences, bufferSize = 7) {
-    const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize);
+function solveBreachProtocol(codeMatrix, requiredSequences, bufferSize = 7, options = {}) {
+    const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize, options);
     return solver.solve();
 }
 
+/**
+ * Find the top ranked alternative solutions to the breach protocol
+ * @param {Array} codeMatrix - 2D array of code buttons
+ * @param {Array} requiredSequences - Array of arrays, each containing a sequence
+ * @param {number} bufferSize - Maximum number of buffer entries
+ * @param {Object} [options] - Solver options, see the BreachProtocol constructor
+ * @param {number} [options.limit=5] - Maximum number of solutions to return
+ * @returns {Array} Solution objects, best first
+ */
+function solveAll(codeMatrix, requiredSequences, bufferSize = 7, options = {}) {
+    const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize, options);
+    return solver.solveAll(options.limit === undefined ? 5 : options.limit);
+}
+
+/**
+ * Analyze what a breach protocol puzzle allows before trying to solve it
+ * @param {Array} codeMatrix - 2D array of code buttons
+ * @param {Array} requiredSequences - Array of arrays, each containing a sequence
+ * @param {number} bufferSize - Maximum number of buffer entries
+ * @param {Object} [options] - Solver options, see the BreachProtocol constructor
+ * @returns {Object} Analysis containing:
+ *   - subsets: every set of daemons, whether it can be uploaded together and the minimum buffer it needs
+ *   - bestScore / maximumScore: best achievable total weight, and the total if every daemon were uploaded
+ *   - winningPaths: number of distinct paths reaching the best score
+ *   - difficulty: {rating, points}
+ *   - complete: false if the time budget ran out before every path was checked
+ */
+function analyzePuzzle(codeMatrix, requiredSequences, bufferSize = 7, options = {}) {
+    const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize, options);
+    return solver.analyze();
+}
+
 // Example usage
 function main() {
     // Example data based on the provided images
@@ -232,7 +1243,9 @@ function main() {
     ];
 
     const bufferSize = 7;
-    const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize);
+    const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize, {
+        weights: ['basic', 'advanced', 'expert']
+    });
 
     console.log("Solution path:");
     solution.path.forEach((pos, index) => {
@@ -243,9 +1256,10 @@ function main() {
     solution.completedSequences.forEach(seqIndex => {
         console.log(`- Sequence ${seqIndex + 1}: ${requiredSequences[seqIndex].join(' ')}`);
     });
+    console.log(`Score: ${solution.score.total} of ${solution.score.maximum}, using ${solution.score.bufferUsed} of ${bufferSize} buffer slots`);
 }
 
-module.exports = { solveBreachProtocol };
+module.exports = { BreachProtocol, solveBreachProtocol, solveAll, analyzePuzzle, validatePuzzle, MATCH_MODES, TIER_WEIGHTS, WILDCARD };
 
 // Uncomment to run directly
 // main();
\ No newline at end of file
@@ -4,19 +4,127 @@ const path = require('path');
 const {createWorker} = require('tesseract.js');
 // Import Jimp correctly
 const Jimp = require('jimp');
+const {createRecognizer, CODE_VALUES, CODE_CHARACTERS, UNKNOWN_CODE, GLYPH_BRIGHTNESS, OCR_ENGINES} = require('./codeRecognizers');
+const {loadLayoutProfile, loadLayoutProfiles, selectLayoutProfile, scaleLayout, validateLayoutProfile} = require('./layoutProfiles');
+
+// Matrix grid detection. Sizes are fractions of the image height, which the game's UI scales with
+// at every resolution and aspect ratio.
+const HEADER_MIN_WIDTH = 0.35;     // The CODE MATRIX header bar is at least this wide
+const HEADER_MIN_HEIGHT = 0.025;   // ...and at least this tall, unlike the thin frame lines and timer bar
+const PANEL_BORDER_INSET = 0.01;   // Skip the panel's frame lines when looking inside it
+const MAX_STROKE_LENGTH = 0.03;    // Straight lines longer than this are frames and cell highlights, not glyphs
+const SEQUENCE_CODES_WIDTH = 0.35; // The sequence codes right of the matrix panel fit within this width
+const FRAME_BRIGHTNESS = 80;       // Panel frame lines are dimmer than the glyphs
+
+// Buffer slot detection, sizes again as fractions of the image height
+const BUFFER_SEARCH_HEIGHT = 0.35;   // The buffer frame sits within this far above the matrix panel
+const BUFFER_FRAME_MIN_WIDTH = 0.12; // The top and bottom lines of the buffer frame are at least this long
+const SLOT_EDGE_CONTRAST = 40;       // Brightness step across a slot outline, sharper than the glow around a filled slot
+const SLOT_DASH_GAP = 0.003;         // Gaps in the dashed outlines are at most twice this wide
+const DEFAULT_BUFFER_SIZE = 8;       // The most common buffer size, assumed when no slots are found
+
+// Daemon labels, right of each sequence's codes. Heights are in code glyph heights from the top of the sequence's cells.
+const DAEMON_LABEL_WIDTH = 0.8;     // The labels end within this far right of the first sequence code, in image heights
+const DAEMON_NAME_TOP = -0.3;       // The daemon name lines up with the top of the sequence's cells
+const DAEMON_NAME_BOTTOM = 0.9;
+const DAEMON_LABEL_BOTTOM = 2.3;    // ...with a line of description below it
+const INACTIVE_BRIGHTNESS = 0.75;   // The codes of a greyed out daemon are dimmer than this, relative to the brightest
+
+/**
+ * Daemon tiers, told apart by the daemon name. The tiers are those of the solver's TIER_WEIGHTS;
+ * quest daemons such as GAIN ACCESS are what the breach is for, so they outrank the rest.
+ */
+const DAEMON_TIERS = [
+    {tier: 'basic', pattern: /\bBASIC\b|\bV1\b/},
+    {tier: 'advanced', pattern: /\bADVANCED\b|\bV2\b/},
+    {tier: 'expert', pattern: /\bEXPERT\b|\bV3\b/},
+    {tier: 'legendary', pattern: /\bLEGENDARY\b/},
+    {tier: 'quest', pattern: /\bGAIN ACCESS\b/}
+];
+
+/**
+ * What a daemon's row shows: still to be uploaded, already installed, failed, or greyed out
+ * without a readable reason
+ */
+const DAEMON_STATUSES = ['pending', 'installed', 'failed', 'inactive'];
+
+// Outline colours of the annotated debug image
+const ANNOTATION_COLORS = {
+    region: 0x00ffffff,
+    code: 0x00ff00ff,
+    unknown: 0xff0000ff,
+    buffer: 0xff00ffff,
+    slot: 0xffff00ff
+};
+
+const DEBUG_FONT_LINE_HEIGHT = 16;
+let debugFont = null;
 
 /**
  * Class to handle OCR processing for Cyberpunk 2077 Breach Protocol screenshots
  */
 class BreachProtocolOCR {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.engine='tesseract'] - How codes are read, see OCR_ENGINES: 'tesseract', or
+     *   'template' to match them against reference glyphs, fully offline and without a Tesseract worker
+     * @param {number} [options.minConfidence] - Codes read with less confidence than this (0 to 1) are marked unknown
+     *   (default: the engine's own threshold)
+     * @param {string|Object} [options.layout] - Screen layout profile: the name of one in layouts/ such as '21:9',
+     *   the path to a JSON profile for a custom HUD scale, or the profile itself (default: picked by aspect ratio)
+     * @param {string} [options.debugDir] - Save debug images and raw OCR text under this directory, in a new
+     *   directory per screenshot (default: nothing is saved)
+     */
+    constructor(options = {}) {
+        this.engine = options.engine || 'tesseract';
+        if (!OCR_ENGINES.includes(this.engine)) {
+            throw new Error(`Unknown OCR engine: ${this.engine}, expected one of ${OCR_ENGINES.join(', ')}`);
+        }
+        this.minConfidence = options.minConfidence;
+        this.debugDir = options.debugDir || null;
+        this.runDebugDir = null;
+
+        this.layoutProfiles = loadLayoutProfiles();
+        this.layoutProfile = options.layout ? this.resolveLayoutProfile(options.layout) : null;
+
         this.worker = null;
+        this.recognizer = null;
+    }
+
+    /**
+     * Find the layout profile the layout option names
+     * @param {string|Object} layout - Profile name, path to a JSON profile, or the profile itself
+     * @returns {Object} The profile
+     */
+    resolveLayoutProfile(layout) {
+        if (typeof layout === 'object') {
+            return validateLayoutProfile(layout, 'from the layout option');
+        }
+        const profile = this.layoutProfiles.find(candidate => candidate.name === layout);
+        return profile || loadLayoutProfile(layout);
     }
 
     /**
-     * Initialize the OCR worker
+     * Scale the layout profile to an image, picking the closest profile by aspect ratio unless one was given
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @returns {Object} {name, scale, regions}, see scaleLayout
+     */
+    getLayout(width, height) {
+        const profile = this.layoutProfile || selectLayoutProfile(this.layoutProfiles, width, height);
+        return scaleLayout(profile, width, height);
+    }
+
+    /**
+     * Initialize the OCR worker, or load the code templates for the template engine
      */
     async initialize() {
+        if (this.engine === 'template') {
+            this.recognizer = createRecognizer('template');
+            await this.recognizer.initialize();
+            return;
+        }
+
         try {
             // Create a new worker with the current Tesseract.js API
             this.worker = await createWorker();
@@ -27,9 +135,10 @@ class BreachProtocolOCR {
 
             // Configure Tesseract for better recognition of the game's font
             await this.worker.setParameters({
-                tessedit_char_whitelist: 'ABCDEF1234567890',
+                tessedit_char_whitelist: CODE_CHARACTERS,
                 tessedit_pageseg_mode: '6', // Assume a single uniform block of text
             });
+            this.recognizer = createRecognizer('tesseract', this.worker);
 
             console.log('OCR worker initialized successfully');
         } catch (error) {
@@ -44,7 +153,7 @@ class BreachProtocolOCR {
      * @returns {Object} Extracted matrix and sequences
      */
     async processImage(imagePath) {
-        if (!this.worker) {
+        if (!this.recognizer) {
             throw new Error('OCR worker not initialized. Call initialize() first.');
         }
 
@@ -60,30 +169,124 @@ class BreachProtocolOCR {
             const image = await Jimp.read(imagePath);
             console.log(`Image loaded successfully: ${image.bitmap.width}x${image.bitmap.height}`);
 
+            // Locate the matrix cells in the full colour image, before preprocessing greys it out
+            const grid = this.detectMatrixGrid(image);
+
             // Process the full image
             const processedImage = this.preprocessImage(image);
 
-            // Create debug directory
-            const debugDir = path.join(process.cwd(), 'debug');
-            if (!fs.existsSync(debugDir)) {
-                fs.mkdirSync(debugDir);
-            }
-
-            // Save the processed full image for debugging
-            await processedImage.clone().writeAsync(path.join(debugDir, 'processed_full_image.png'));
+            // Debug output goes to a directory of its own per screenshot, so concurrent runs don't overwrite each other
+            this.runDebugDir = this.createRunDebugDir(imagePath);
+            await this.saveDebugImage('processed_full_image.png', processedImage);
 
             // Extract the code matrix through direct OCR of different regions
-            const {codeMatrix, requiredSequences, bufferSize} = await this.extractDataFromImage(processedImage);
+            const {codeMatrix, daemons, requiredSequences, bufferSize, confidence, boxes} = await this.extractDataFromImage(processedImage, image, grid);
 
             return {
                 codeMatrix,
+                daemons,
                 requiredSequences,
-                bufferSize: bufferSize || 7
+                bufferSize,
+                confidence,
+                boxes
             };
         } catch (error) {
             console.error('Error during image processing:', error);
             throw error;
+        } finally {
+            this.runDebugDir = null;
+        }
+    }
+
+    /**
+     * Make the debug directory for a screenshot, if debug output was asked for
+     * @param {string} imagePath - Path to the screenshot image
+     * @returns {string|null} A new directory under debugDir named after the screenshot, or null
+     */
+    createRunDebugDir(imagePath) {
+        if (!this.debugDir) {
+            return null;
+        }
+
+        fs.mkdirSync(this.debugDir, {recursive: true});
+        const runDebugDir = fs.mkdtempSync(path.join(this.debugDir, `${path.parse(imagePath).name}-`));
+        console.log(`Saving debug output to: ${runDebugDir}`);
+        return runDebugDir;
+    }
+
+    /**
+     * Save an image to the screenshot's debug directory, if debug output was asked for
+     * @param {string} name - File name
+     * @param {Jimp} image - Image to save, which is left as it is
+     */
+    async saveDebugImage(name, image) {
+        if (this.runDebugDir) {
+            await image.clone().writeAsync(path.join(this.runDebugDir, name));
+        }
+    }
+
+    /**
+     * Save text to the screenshot's debug directory, if debug output was asked for
+     * @param {string} name - File name
+     * @param {string} text - Text to save
+     */
+    saveDebugText(name, text) {
+        if (this.runDebugDir) {
+            fs.writeFileSync(path.join(this.runDebugDir, name), text);
+        }
+    }
+
+    /**
+     * Save a copy of the screenshot with what was found drawn on it: the matrix and sequence regions in cyan,
+     * each code's box in green, or red if it couldn't be read, with the code and its confidence below it,
+     * and the buffer frame in magenta with its slots in yellow
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} annotations - What to draw
+     * @param {Object} annotations.matrixRegion - Box the matrix was read from
+     * @param {Object|null} annotations.sequencesRegion - Box the sequences were read from, null if read cell by cell
+     * @param {Array|null} annotations.matrixCells - Box per matrix cell, null if the matrix was read as a whole
+     * @param {Object} annotations.matrix - {codeMatrix, confidence} as read
+     * @param {Array|null} annotations.sequenceCells - Box per sequence code, null if the sequences were read as a whole
+     * @param {Object} annotations.daemons - {daemons, codeConfidence} as read
+     * @param {Object} annotations.buffer - {frame, slots} from extractBufferSize
+     */
+    async saveAnnotatedImage(image, annotations) {
+        const {matrixRegion, sequencesRegion, matrixCells, matrix, sequenceCells, daemons, buffer} = annotations;
+        const annotated = image.clone();
+        const font = await loadDebugFont();
+        const thickness = Math.max(1, Math.round(image.bitmap.height / 540));
+
+        // Code and confidence on one line below the box, or on two where the next box is too close for that
+        const labelCell = (box, code, confidence, next) => {
+            drawBox(annotated, box, code === UNKNOWN_CODE ? ANNOTATION_COLORS.unknown : ANNOTATION_COLORS.code, thickness);
+            const textY = box.y + box.height + thickness;
+            const percent = `${Math.round(confidence * 100)}%`;
+            if (!next || Jimp.measureText(font, `${code} ${percent}`) < next.x - box.x) {
+                annotated.print(font, box.x, textY, `${code} ${percent}`);
+            } else {
+                annotated.print(font, box.x, textY, code);
+                annotated.print(font, box.x, textY + DEBUG_FONT_LINE_HEIGHT, percent);
+            }
+        };
+
+        drawBox(annotated, matrixRegion, ANNOTATION_COLORS.region, thickness);
+        if (sequencesRegion) {
+            drawBox(annotated, sequencesRegion, ANNOTATION_COLORS.region, thickness);
+        }
+        if (matrixCells) {
+            matrixCells.forEach((row, r) => row.forEach((box, c) =>
+                labelCell(box, matrix.codeMatrix[r][c], matrix.confidence[r][c], row[c + 1])));
+        }
+        if (sequenceCells) {
+            sequenceCells.forEach((row, s) => row.forEach((box, i) =>
+                labelCell(box, daemons.daemons[s].codes[i], daemons.codeConfidence[s][i], row[i + 1])));
         }
+        if (buffer.frame) {
+            drawBox(annotated, buffer.frame, ANNOTATION_COLORS.buffer, thickness);
+            buffer.slots.forEach(slot => drawBox(annotated, slot, ANNOTATION_COLORS.slot, thickness));
+        }
+
+        await this.saveDebugImage('annotated.png', annotated);
     }
 
     /**
@@ -114,124 +317,757 @@ class BreachProtocolOCR {
     /**
      * Extract game data from the image using different regions
      * @param {Jimp} image - The preprocessed image
-     * @returns {Object} Extracted game data
+     * @param {Jimp} [originalImage] - The image as loaded, for reading the matrix cells
+     * @param {Object|null} [grid] - Matrix cell grid from detectMatrixGrid, in originalImage coordinates
+     * @returns {Object} Extracted game data: the daemons as {name, tier, codes, status}, requiredSequences
+     *   being the codes of each, with confidence.codeMatrix holding each cell's confidence and
+     *   confidence.requiredSequences each daemon's, from 0 to 1, and boxes holding the {x, y, width, height} of
+     *   each matrix code as boxes.matrix[row][col] and of each sequence code as boxes.sequences[daemon][position]
+     *   (null if read from a region as a whole) and of each buffer slot in boxes.buffer
      */
-    async extractDataFromImage(image) {
+    async extractDataFromImage(image, originalImage = null, grid = null) {
         const width = image.bitmap.width;
         const height = image.bitmap.height;
 
         console.log(`Image dimensions: ${width}x${height}`);
 
-        // Create debug directory if it doesn't exist
-        const debugDir = path.join(process.cwd(), 'debug');
-        if (!fs.existsSync(debugDir)) {
-            fs.mkdirSync(debugDir);
-        }
-
-        // Extract matrix region (left side of the screen)
-        // Fixed coordinates to avoid Jimp/Zod issues
-
-        // -- We want to extract from 180x (from left) and 340y (from top)
-        // -- Across and down to 860x (from left) and 800y (from top)
-        // Thus 1920 x 1080 image can be worked out exactly
-
-        let matrixX = 180;
-        let matrixY = 340;
-        let matrixWidth = 680; // 860- 180
-        let matrixHeight = 460; // 800 - 340
-        if (width === 1920 && height === 1080) {
-            console.log("Using the exact 1920 x 1080 dimensions");
-            // const matrixX = 180;
-            // const matrixY = 340;
-            // const matrixWidth = 680; // 860- 180
-            // const matrixHeight = 460; // 800 - 340
-        } else {
-            // -- Approximate location
-            console.log("Using the approximate % dimensions");
-            matrixX = Math.round(width * 0.09375); //  180 ÷ 1920
-            matrixY = Math.round(height * 0.3148); //  340 ÷ 1080
-            matrixWidth = Math.round(width * 0.447916); // 860 ÷ 1920
-            matrixHeight = Math.round(height * 0.7407);  // 800 ÷ 1080
-        }
-
-        console.log(`Matrix region: x=${matrixX}, y=${matrixY}, width=${matrixWidth}, height=${matrixHeight}`);
-
-        // Create a new image for the matrix region
-        const matrixImage = image.clone();
-        try {
-            matrixImage.crop(matrixX, matrixY, matrixWidth, matrixHeight);
-            await matrixImage.writeAsync(path.join(debugDir, 'matrix_region.png'));
-        } catch (error) {
-            console.error('Error cropping matrix region:', error);
-            // Fall back to simple extraction from the full image
-        }
-
-        // Extract sequences region (right side of the screen)
-        // -- In 1920x1080 the top left point is: 900x by 340y down and across to 1250x 545y
-        let seqX = 900;
-        let seqY = 340;
-        let seqWidth = 350; // 1250 - 900
-        let seqHeight = 205; // 545 - 340
-
-        if (width === 1920 && height === 1080) {
-            console.log("Using the exact 1920 x 1080 dimensions for the sequence dimensions");
-        } else {
-            // Extract sequences region (right side of the screen) -- These are wrong
-            console.log("Using estimated dimensions for the sequence dimensions");
-            seqX = Math.round(width * 0.6);
-            seqY = Math.round(height * 0.25);
-            seqWidth = Math.round(width * 0.35);
-            seqHeight = Math.round(height * 0.45);
+        // Where the regions are for this resolution and aspect ratio, for when they can't be found from the image itself
+        const layout = this.getLayout(width, height);
+        console.log(`Using the ${layout.name} layout profile, scaled by ${layout.scale.toFixed(2)}`);
 
+        // Without a detected grid, fall back to reading the matrix as one block from where it usually is
+        let matrixImage = null;
+        if (!grid || !originalImage) {
+            if (this.engine === 'template') {
+                throw new Error('Could not find the code matrix grid, which the template engine needs to read codes');
+            }
+            console.warn('Matrix grid not detected, falling back to the layout profile\'s matrix region');
+
+            const {x, y, width: matrixWidth, height: matrixHeight} = layout.regions.matrix;
+            console.log(`Matrix region: x=${x}, y=${y}, width=${matrixWidth}, height=${matrixHeight}`);
+
+            // Create a new image for the matrix region
+            matrixImage = image.clone();
+            try {
+                matrixImage.crop(x, y, matrixWidth, matrixHeight);
+                await this.saveDebugImage('matrix_region.png', matrixImage);
+            } catch (error) {
+                console.error('Error cropping matrix region:', error);
+                // Fall back to simple extraction from the full image
+            }
         }
 
-
+        // Extract sequences region (right side of the screen)
+        const {x: seqX, y: seqY, width: seqWidth, height: seqHeight} = layout.regions.sequences;
         console.log(`Sequences region: x=${seqX}, y=${seqY}, width=${seqWidth}, height=${seqHeight}`);
 
         // Create a new image for the sequences region
         const seqImage = image.clone();
         try {
             seqImage.crop(seqX, seqY, seqWidth, seqHeight);
-            await seqImage.writeAsync(path.join(debugDir, 'sequences_region.png'));
+            await this.saveDebugImage('sequences_region.png', seqImage);
         } catch (error) {
             console.error('Error cropping sequences region:', error);
             // Fall back to simple extraction from the full image
         }
 
-        // Extract buffer size region (top of the screen)
-        const bufferX = Math.round(width * 0.7);
-        const bufferY = Math.round(height * 0.15);
-        const bufferWidth = Math.round(width * 0.1);
-        const bufferHeight = Math.round(height * 0.05);
+        // Count the buffer slots, in the full colour image as their outlines are too dim to survive preprocessing
+        const buffer = this.extractBufferSize(originalImage || image, grid);
+        if (buffer.frame && this.runDebugDir) {
+            await this.saveDebugImage('buffer_region.png', (originalImage || image).clone()
+                .crop(buffer.frame.left, buffer.frame.top, buffer.frame.right - buffer.frame.left, buffer.frame.bottom - buffer.frame.top));
+        }
 
-        console.log(`Buffer region: x=${bufferX}, y=${bufferY}, width=${bufferWidth}, height=${bufferHeight}`);
+        // Process the regions to extract data
+        const matrix = matrixImage
+            ? await this.extractCodeMatrix(matrixImage)
+            : await this.extractCodeMatrixFromGrid(originalImage, grid);
+        const daemons = grid && originalImage
+            ? await this.extractDaemonsFromGrid(originalImage, grid)
+            : await this.extractRequiredSequences(seqImage);
+
+        // Where the codes were found, in the screenshot as loaded, for drawing on it
+        const boxes = {
+            matrix: grid && !matrixImage ? grid.cells : null,
+            sequences: daemons.cells || null,
+            buffer: buffer.slots
+        };
 
-        // Create a new image for the buffer region
-        const bufferImage = image.clone();
-        try {
-            bufferImage.crop(bufferX, bufferY, bufferWidth, bufferHeight);
-            await bufferImage.writeAsync(path.join(debugDir, 'buffer_region.png'));
-        } catch (error) {
-            console.error('Error cropping buffer region:', error);
-            // Continue with default buffer size
+        if (this.runDebugDir) {
+            // The fallback regions are in the preprocessed image, which may have been scaled down
+            const scale = (originalImage || image).bitmap.width / width;
+            const scaleBox = box => ({
+                x: Math.round(box.x * scale),
+                y: Math.round(box.y * scale),
+                width: Math.round(box.width * scale),
+                height: Math.round(box.height * scale)
+            });
+            await this.saveAnnotatedImage(originalImage || image, {
+                matrixRegion: grid ? grid.bounds : scaleBox(layout.regions.matrix),
+                sequencesRegion: daemons.cells ? null : scaleBox(layout.regions.sequences),
+                matrixCells: boxes.matrix,
+                matrix,
+                sequenceCells: boxes.sequences,
+                daemons,
+                buffer
+            });
         }
 
-        // Process the regions to extract data
-        const codeMatrix = await this.extractCodeMatrix(matrixImage);
-        const requiredSequences = await this.extractRequiredSequences(seqImage);
-        const bufferSize = await this.extractBufferSize(bufferImage);
+        return {
+            codeMatrix: matrix.codeMatrix,
+            daemons: daemons.daemons,
+            requiredSequences: daemons.daemons.map(daemon => daemon.codes),
+            bufferSize: buffer.bufferSize,
+            confidence: {
+                codeMatrix: matrix.confidence,
+                requiredSequences: daemons.confidence,
+                bufferSize: buffer.confidence
+            },
+            boxes
+        };
+    }
+
+    /**
+     * Find the code matrix and its cell grid from the image itself, at any resolution.
+     * The matrix panel sits under the solid CODE MATRIX header bar; inside it, row and column
+     * projections of the bright glyph pixels give one band per matrix row and per code column.
+     * @param {Jimp} image - The full colour screenshot
+     * @returns {Object|null} {panel, bounds, rows, cols, cells, glyphHeight}, where panel is the inside of the matrix
+     *   panel, rows are {top, bottom}, cols are {left, right} and cells[row][col] is the {x, y, width, height} box
+     *   around each code, or null if no grid was found
+     */
+    detectMatrixGrid(image) {
+        const panel = this.findMatrixPanel(image);
+        if (!panel) {
+            console.warn('Could not find the code matrix panel');
+            return null;
+        }
+
+        const isGlyph = this.findGlyphPixels(image, panel);
+
+        let rows = this.findGlyphRows(isGlyph, panel, [panel]);
+        if (rows.length < 2) {
+            console.warn(`Found ${rows.length} rows of codes in the matrix panel, expected at least 2`);
+            return null;
+        }
+        const glyphHeight = median(rows.map(row => row.bottom - row.top));
+        let cols = this.findGlyphColumns(isGlyph, panel, rows, glyphHeight);
+
+        // The cursor or stray highlights only touch one or two cells, real rows and columns are filled
+        const hasGlyphs = (row, col) => {
+            for (let y = row.top; y < row.bottom; y++) {
+                for (let x = col.left; x < col.right; x++) {
+                    if (isGlyph(x, y)) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        };
+        cols = cols.filter(col => rows.filter(row => hasGlyphs(row, col)).length >= rows.length / 2);
+
+        // Find the rows again without whatever was outside the columns, such as the cursor overlapping a row
+        rows = this.findGlyphRows(isGlyph, panel, cols);
+        rows = rows.filter(row => cols.filter(col => hasGlyphs(row, col)).length >= cols.length / 2);
+
+        if (rows.length < 2 || cols.length < 2) {
+            console.warn(`Found a ${rows.length}x${cols.length} grid in the matrix panel, expected at least 2x2`);
+            return null;
+        }
+
+        const cells = rows.map(row => cols.map(col => this.cellBox(image, row, col, glyphHeight)));
+
+        const bounds = {
+            x: cols[0].left,
+            y: rows[0].top,
+            width: cols[cols.length - 1].right - cols[0].left,
+            height: rows[rows.length - 1].bottom - rows[0].top
+        };
+        console.log(`Detected a ${rows.length}x${cols.length} code matrix at x=${bounds.x}, y=${bounds.y}, width=${bounds.width}, height=${bounds.height}`);
+
+        return {panel, bounds, rows, cols, cells, glyphHeight};
+    }
+
+    /**
+     * Find the required sequence codes, which are listed one sequence per row right of the matrix panel,
+     * in the same font and size as the matrix codes. The daemon names further right are left out.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} grid - Matrix cell grid from detectMatrixGrid
+     * @returns {Array} One array of {x, y, width, height} cell boxes per sequence
+     */
+    detectSequenceCells(image, grid) {
+        const {width, height} = image.bitmap;
+        const inset = Math.max(2, Math.round(height * PANEL_BORDER_INSET));
+        const left = Math.min(width, grid.panel.right + inset * 2);
+        const region = {
+            left,
+            right: Math.min(width, left + Math.round(height * SEQUENCE_CODES_WIDTH)),
+            top: Math.max(0, grid.panel.top - inset * 2), // The first sequence can sit higher than the first matrix row
+            bottom: grid.panel.bottom
+        };
+        if (region.right - region.left < grid.glyphHeight) {
+            return [];
+        }
+
+        // The sequence panel ends at its bottom frame line, which runs across the whole region
+        const {data} = image.bitmap;
+        for (let y = grid.panel.top; y < region.bottom; y++) {
+            let count = 0;
+            for (let x = region.left; x < region.right; x++) {
+                const idx = (y * width + x) * 4;
+                count += Math.max(data[idx], data[idx + 1], data[idx + 2]) >= FRAME_BRIGHTNESS ? 1 : 0;
+            }
+            if (count >= (region.right - region.left) * 0.6) {
+                region.bottom = y;
+            }
+        }
+
+        const isGlyph = this.findGlyphPixels(image, region);
+
+        // Glyph pixels per row of the region
+        const projection = [];
+        for (let y = region.top; y < region.bottom; y++) {
+            let count = 0;
+            for (let x = region.left; x < region.right; x++) {
+                count += isGlyph(x, y) ? 1 : 0;
+            }
+            projection.push(count);
+        }
+
+        // Only rows of glyphs the size of the matrix codes, not the small print under the panel.
+        // Where the cursor or a highlight box makes a row taller, keep the glyph-high slice with the most glyph pixels.
+        const sequences = this.findGlyphRows(isGlyph, region, [region], grid.glyphHeight * 0.6)
+            .map(row => {
+                if (row.bottom - row.top <= grid.glyphHeight * 1.4) {
+                    return row;
+                }
+                let best = {top: row.top, mass: -1};
+                for (let top = row.top; top + grid.glyphHeight <= row.bottom; top++) {
+                    const mass = projection
+                        .slice(top - region.top, top - region.top + grid.glyphHeight)
+                        .reduce((sum, count) => sum + count, 0);
+                    if (mass > best.mass) {
+                        best = {top, mass};
+                    }
+                }
+                return {top: best.top, bottom: best.top + grid.glyphHeight};
+            })
+            .map(row => ({row, cols: this.findGlyphColumns(isGlyph, region, [row], grid.glyphHeight)}));
+
+        // The cursor or a highlight box can join neighbouring codes into one column.
+        // Split those using the spacing of the codes in the rest of the sequences.
+        const pitch = median(sequences.flatMap(({cols}) => cols.slice(1).map((col, i) => col.left - cols[i].left)));
+        const codeWidth = median(sequences.flatMap(({cols}) => cols.map(col => col.right - col.left)));
+
+        return sequences
+            .map(({row, cols}) => cols
+                .flatMap(col => this.splitColumn(col, pitch, codeWidth))
+                .map(col => this.cellBox(image, row, col, grid.glyphHeight)))
+            .filter(cells => cells.length > 0);
+    }
+
+    /**
+     * Split a column that is too wide for one code into evenly spaced codes
+     * @param {Object} col - Column as {left, right}
+     * @param {number} pitch - Distance from one code to the next, 0 if unknown
+     * @param {number} codeWidth - Typical width of a code
+     * @returns {Array} Columns as {left, right}
+     */
+    splitColumn(col, pitch, codeWidth) {
+        const count = pitch > 0 ? Math.round((col.right - col.left - codeWidth) / pitch) + 1 : 1;
+        if (count <= 1) {
+            return [col];
+        }
+
+        const step = (col.right - col.left - codeWidth) / (count - 1);
+        return Array.from({length: count}, (_, i) => ({
+            left: Math.round(col.left + i * step),
+            right: Math.round(col.left + i * step + codeWidth)
+        }));
+    }
+
+    /**
+     * Find rows of glyphs, separated by empty horizontal gaps
+     * @param {Function} isGlyph - (x, y) => true for glyph pixels
+     * @param {Object} region - Region to look in, as {left, right, top, bottom}
+     * @param {Array} columns - Only count pixels within these {left, right} column ranges
+     * @param {number} [minHeight] - Drop rows shorter than this (default: half the typical row height)
+     * @returns {Array} Rows as {top, bottom}, bottom exclusive
+     */
+    findGlyphRows(isGlyph, region, columns, minHeight) {
+        const projection = [];
+        for (let y = region.top; y < region.bottom; y++) {
+            let count = 0;
+            columns.forEach(col => {
+                for (let x = col.left; x < col.right; x++) {
+                    count += isGlyph(x, y) ? 1 : 0;
+                }
+            });
+            projection.push(count);
+        }
+
+        const bands = this.findBands(projection, 1).map(band => ({
+            top: region.top + band.start,
+            bottom: region.top + band.end,
+            mass: projection.slice(band.start, band.end).reduce((sum, count) => sum + count, 0)
+        }));
+
+        // Drop specks much shorter than the glyphs, judging the glyph height by the bands with real content
+        if (minHeight === undefined) {
+            const maxMass = Math.max(0, ...bands.map(band => band.mass));
+            minHeight = median(bands
+                .filter(band => band.mass >= maxMass * 0.2)
+                .map(band => band.bottom - band.top)) * 0.5;
+        }
+        return bands
+            .filter(band => band.bottom - band.top >= minHeight)
+            .map(({top, bottom}) => ({top, bottom}));
+    }
+
+    /**
+     * Find columns of codes within rows of glyphs. The two characters of a code are much closer together
+     * than neighbouring codes, so gaps narrower than half a glyph height are bridged.
+     * @param {Function} isGlyph - (x, y) => true for glyph pixels
+     * @param {Object} region - Region to look in, as {left, right, top, bottom}
+     * @param {Array} rows - Rows as {top, bottom} to look along
+     * @param {number} glyphHeight - Typical glyph height in pixels
+     * @returns {Array} Columns as {left, right}, right exclusive
+     */
+    findGlyphColumns(isGlyph, region, rows, glyphHeight) {
+        const projection = new Array(region.right - region.left).fill(0);
+        rows.forEach(row => {
+            for (let y = row.top; y < row.bottom; y++) {
+                for (let x = region.left; x < region.right; x++) {
+                    projection[x - region.left] += isGlyph(x, y) ? 1 : 0;
+                }
+            }
+        });
+
+        return this.findBands(projection, Math.round(glyphHeight * 0.6))
+            .map(band => ({left: region.left + band.start, right: region.left + band.end}))
+            .filter(col => col.right - col.left >= glyphHeight * 0.5);
+    }
+
+    /**
+     * Pad a code's glyph box so the glyphs aren't clipped when read on their own
+     * @param {Jimp} image - Image the code is in
+     * @param {Object} row - Row band as {top, bottom}
+     * @param {Object} col - Column band as {left, right}
+     * @param {number} glyphHeight - Typical glyph height in pixels
+     * @returns {Object} Cell box as {x, y, width, height}, clipped to the image
+     */
+    cellBox(image, row, col, glyphHeight) {
+        const padding = Math.round(glyphHeight * 0.4);
+        const x = Math.max(0, col.left - padding);
+        const y = Math.max(0, row.top - padding);
+        return {
+            x,
+            y,
+            width: Math.min(image.bitmap.width, col.right + padding) - x,
+            height: Math.min(image.bitmap.height, row.bottom + padding) - y
+        };
+    }
+
+    /**
+     * Find the inside of the code matrix panel: below its solid header bar, down to its bottom frame line
+     * @param {Jimp} image - The full colour screenshot
+     * @returns {Object|null} {left, right, top, bottom} in pixels, or null if there's no header bar
+     */
+    findMatrixPanel(image) {
+        const {data, width, height} = image.bitmap;
+        const isBright = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return Math.max(data[idx], data[idx + 1], data[idx + 2]) >= GLYPH_BRIGHTNESS;
+        };
+
+        // Longest run of bright pixels on each row
+        const longestRun = (y) => {
+            let best = {start: 0, end: 0};
+            let start = 0;
+            for (let x = 0; x <= width; x++) {
+                if (x < width && isBright(x, y)) {
+                    continue;
+                }
+                if (x - start > best.end - best.start) {
+                    best = {start, end: x};
+                }
+                start = x + 1;
+            }
+            return best;
+        };
+
+        // Solid bars are consecutive rows with a long bright run, allowing for a row or two broken up by
+        // the header's text. The header is the tall bar furthest left.
+        const bars = [];
+        let bar = null;
+        for (let y = 0; y < height; y++) {
+            const run = longestRun(y);
+            if (run.end - run.start < height * HEADER_MIN_WIDTH) {
+                continue;
+            }
+            if (bar && y - bar.bottom <= 2) {
+                bar.bottom = y + 1;
+                bar.runs.push(run);
+            } else {
+                bar = {top: y, bottom: y + 1, runs: [run]};
+                bars.push(bar);
+            }
+        }
+
+        // A bar's edges are where most of its rows start and end, as lines beside it can extend single rows
+        const header = bars
+            .filter(candidate => candidate.bottom - candidate.top >= height * HEADER_MIN_HEIGHT)
+            .map(candidate => ({
+                top: candidate.top,
+                bottom: candidate.bottom,
+                left: median(candidate.runs.map(run => run.start)),
+                right: median(candidate.runs.map(run => run.end))
+            }))
+            .sort((a, b) => a.left - b.left)[0];
+        if (!header) {
+            return null;
+        }
+
+        // The panel ends at the frame line under the header, which spans a good part of its width
+        const inset = Math.max(2, Math.round(height * PANEL_BORDER_INSET));
+        let bottom = height;
+        for (let y = header.bottom + inset; y < height && bottom === height; y++) {
+            let count = 0;
+            for (let x = header.left; x < header.right; x++) {
+                count += isBright(x, y) ? 1 : 0;
+            }
+            if (count >= (header.right - header.left) * 0.4) {
+                bottom = y;
+            }
+        }
 
         return {
-            codeMatrix,
-            requiredSequences,
-            bufferSize
+            left: header.left + inset,
+            right: header.right - inset,
+            top: header.bottom + inset,
+            bottom: bottom - inset
+        };
+    }
+
+    /**
+     * Mark the glyph pixels inside the panel: bright, but not part of a long straight line
+     * such as the box the game draws around highlighted cells
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} panel - Region to look in, as {left, right, top, bottom}
+     * @returns {Function} (x, y) => true for glyph pixels
+     */
+    findGlyphPixels(image, panel) {
+        const {data, width, height} = image.bitmap;
+        const panelWidth = panel.right - panel.left;
+        const panelHeight = panel.bottom - panel.top;
+        const maxStroke = Math.round(height * MAX_STROKE_LENGTH);
+
+        const bright = new Uint8Array(panelWidth * panelHeight);
+        for (let y = 0; y < panelHeight; y++) {
+            for (let x = 0; x < panelWidth; x++) {
+                const idx = ((panel.top + y) * width + panel.left + x) * 4;
+                bright[y * panelWidth + x] = Math.max(data[idx], data[idx + 1], data[idx + 2]) >= GLYPH_BRIGHTNESS ? 1 : 0;
+            }
+        }
+
+        // Clear runs of bright pixels longer than any glyph stroke, along rows then along columns
+        const glyph = bright.slice();
+        const clearLongRuns = (lines, length, at) => {
+            for (let line = 0; line < lines; line++) {
+                let start = 0;
+                for (let i = 0; i <= length; i++) {
+                    if (i < length && bright[at(line, i)]) {
+                        continue;
+                    }
+                    if (i - start > maxStroke) {
+                        for (let j = start; j < i; j++) {
+                            glyph[at(line, j)] = 0;
+                        }
+                    }
+                    start = i + 1;
+                }
+            }
         };
+        clearLongRuns(panelHeight, panelWidth, (y, x) => y * panelWidth + x);
+        clearLongRuns(panelWidth, panelHeight, (x, y) => y * panelWidth + x);
+
+        return (x, y) => glyph[(y - panel.top) * panelWidth + (x - panel.left)] === 1;
+    }
+
+    /**
+     * Split a projection profile into bands of non-zero values
+     * @param {Array} projection - Glyph pixel count per row or column
+     * @param {number} maxGap - Gaps up to this long are bridged rather than ending the band
+     * @returns {Array} Bands as {start, end}, end exclusive
+     */
+    findBands(projection, maxGap) {
+        const bands = [];
+        let band = null;
+        projection.forEach((count, i) => {
+            if (count === 0) {
+                return;
+            }
+            if (band && i - band.end <= maxGap) {
+                band.end = i + 1;
+            } else {
+                band = {start: i, end: i + 1};
+                bands.push(band);
+            }
+        });
+        return bands;
+    }
+
+    /**
+     * Read the code matrix one cell at a time, so each code keeps its (row, col) position
+     * even when a neighbouring cell can't be read
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} grid - Cell grid from detectMatrixGrid
+     * @returns {Object} {codeMatrix, confidence}, with UNKNOWN_CODE for cells that couldn't be read
+     */
+    async extractCodeMatrixFromGrid(image, grid) {
+        console.log('Extracting code matrix from the detected grid...');
+
+        if (this.runDebugDir) {
+            await this.saveDebugImage('matrix_region.png', image.clone()
+                .crop(grid.bounds.x, grid.bounds.y, grid.bounds.width, grid.bounds.height));
+        }
+
+        const cells = grid.cells.flat();
+        const results = (await this.recognizer.recognizeCells(image, cells, grid.glyphHeight))
+            .map(result => this.acceptCode(result));
+        const rows = grid.cells.map(row => results.splice(0, row.length));
+
+        rows.forEach((row, r) => row.forEach((result, c) => {
+            if (result.code === UNKNOWN_CODE) {
+                console.warn(`Could not read the code at row ${r + 1}, column ${c + 1} (confidence ${Math.round(result.confidence * 100)}%)`);
+            }
+        }));
+
+        const codeMatrix = rows.map(row => row.map(result => result.code));
+        console.log('Extracted code matrix:');
+        codeMatrix.forEach(row => console.log(row.join(' ')));
+
+        return {codeMatrix, confidence: rows.map(row => row.map(result => result.confidence))};
+    }
+
+    /**
+     * Read the daemons: the codes of each one at a time, from the cells found by detectSequenceCells,
+     * and the name and state of each from its label
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} grid - Matrix cell grid from detectMatrixGrid
+     * @returns {Object} {daemons, confidence, cells, codeConfidence}, see summarizeDaemons, plus the box
+     *   and confidence of each code
+     */
+    async extractDaemonsFromGrid(image, grid) {
+        console.log('Extracting daemons from the detected grid...');
+
+        const rows = this.detectSequenceCells(image, grid);
+        const sequences = [];
+        const labels = [];
+        for (const cells of rows) {
+            const results = await this.recognizer.recognizeCells(image, cells, grid.glyphHeight);
+            sequences.push(results.map(result => this.acceptCode(result)));
+            labels.push(await this.readDaemonLabel(image, grid, cells));
+        }
+
+        // The game greys out the rows of daemons that were installed or failed,
+        // which is all there is to go on when the label can't be read
+        const brightness = rows.map(cells => this.measureCodeBrightness(image, cells));
+        const brightest = Math.max(0, ...brightness);
+        labels.forEach((label, i) => {
+            if (label.status === 'pending' && brightness[i] < brightest * INACTIVE_BRIGHTNESS) {
+                label.status = 'inactive';
+            }
+        });
+
+        return {
+            ...this.summarizeDaemons(sequences, labels),
+            cells: rows,
+            codeConfidence: sequences.map(codes => codes.map(result => result.confidence))
+        };
+    }
+
+    /**
+     * Read the name and state of a daemon from its label, right of its sequence codes past the daemon icon.
+     * Only a recognizer that reads text can do this, the template engine only knows the code glyphs.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} grid - Matrix cell grid from detectMatrixGrid
+     * @param {Array} cells - The daemon's sequence cells from detectSequenceCells
+     * @returns {Promise<Object>} {name, tier, status}, name and tier being null if they couldn't be read
+     */
+    async readDaemonLabel(image, grid, cells) {
+        const label = {name: null, tier: null, status: 'pending'};
+        if (!this.recognizer.recognizeText) {
+            return label;
+        }
+
+        const box = this.findDaemonLabel(image, grid, cells);
+        if (!box) {
+            return label;
+        }
+
+        const {lines} = await this.recognizer.recognizeText(image, box, grid.glyphHeight);
+        const text = lines.join(' ').toUpperCase();
+        if (/\bINSTALLED\b/.test(text)) {
+            label.status = 'installed';
+        } else if (/\bFAILED\b/.test(text)) {
+            label.status = 'failed';
+        }
+
+        // The name is the first line, the description under it tells nothing about the tier
+        const name = (lines[0] || '').toUpperCase()
+            .replace(/[^A-Z0-9 ]/g, ' ')
+            .replace(/\b(INSTALLED|FAILED)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (name.length > 0) {
+            label.name = name;
+            label.tier = daemonTier(name);
+        }
+
+        return label;
+    }
+
+    /**
+     * Find the box around a daemon's label: its name, level with the top of the sequence codes,
+     * and the line of description below. Left of it is the daemon icon, further apart from the
+     * name than its words are from each other.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} grid - Matrix cell grid from detectMatrixGrid
+     * @param {Array} cells - The daemon's sequence cells from detectSequenceCells
+     * @returns {Object|null} Label box as {x, y, width, height}, or null if there's no label
+     */
+    findDaemonLabel(image, grid, cells) {
+        const {width, height} = image.bitmap;
+        const {glyphHeight} = grid;
+        const last = cells[cells.length - 1];
+        const top = cells[0].y;
+
+        const nameRegion = {
+            left: last.x + last.width,
+            right: Math.min(width, cells[0].x + Math.round(height * DAEMON_LABEL_WIDTH)),
+            top: Math.max(0, Math.round(top + glyphHeight * DAEMON_NAME_TOP)),
+            bottom: Math.min(height, Math.round(top + glyphHeight * DAEMON_NAME_BOTTOM))
+        };
+        if (nameRegion.right - nameRegion.left < glyphHeight) {
+            return null;
+        }
+
+        const nameColumns = this.findGlyphColumns(this.findGlyphPixels(image, nameRegion), nameRegion, [nameRegion], glyphHeight);
+        if (nameColumns.length < 2) {
+            return null;
+        }
+
+        // The description can run further right than the name
+        const labelRegion = {
+            left: nameColumns[nameColumns.length - 1].left,
+            right: nameRegion.right,
+            top: nameRegion.top,
+            bottom: Math.min(height, Math.round(top + glyphHeight * DAEMON_LABEL_BOTTOM))
+        };
+        const labelColumns = this.findGlyphColumns(this.findGlyphPixels(image, labelRegion), labelRegion, [labelRegion], glyphHeight);
+        if (labelColumns.length === 0) {
+            return null;
+        }
+
+        const padding = Math.round(glyphHeight * 0.3);
+        const x = Math.max(0, labelRegion.left - padding);
+        return {
+            x,
+            y: labelRegion.top,
+            width: Math.min(width, labelColumns[0].right + padding) - x,
+            height: labelRegion.bottom - labelRegion.top
+        };
+    }
+
+    /**
+     * Measure how bright the codes in a row of cells are, going by their brightest pixels
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Array} cells - Cell boxes as {x, y, width, height}
+     * @returns {number} Brightest channel of the 95th percentile pixel, from 0 to 255
+     */
+    measureCodeBrightness(image, cells) {
+        const {data, width} = image.bitmap;
+        const values = [];
+        cells.forEach(cell => {
+            for (let y = cell.y; y < cell.y + cell.height; y++) {
+                for (let x = cell.x; x < cell.x + cell.width; x++) {
+                    const idx = (y * width + x) * 4;
+                    values.push(Math.max(data[idx], data[idx + 1], data[idx + 2]));
+                }
+            }
+        });
+        if (values.length === 0) {
+            return 0;
+        }
+        values.sort((a, b) => a - b);
+        return values[Math.floor(values.length * 0.95)];
+    }
+
+    /**
+     * Mark a recognized code as unknown unless it is one of the game's codes, read with enough confidence
+     * @param {Object} result - {code, confidence} from a recognizer
+     * @returns {Object} {code, confidence}, code being UNKNOWN_CODE if it wasn't accepted
+     */
+    acceptCode(result) {
+        const minConfidence = this.minConfidence !== undefined ? this.minConfidence : this.recognizer.minConfidence;
+        if (CODE_VALUES.includes(result.code) && result.confidence >= minConfidence) {
+            return result;
+        }
+        return {code: UNKNOWN_CODE, confidence: result.confidence};
+    }
+
+    /**
+     * Turn the recognized codes and labels of each daemon into the daemons and their confidences
+     * @param {Array} sequences - Array of {code, confidence} arrays, one per daemon
+     * @param {Array} [labels] - {name, tier, status} per daemon, from readDaemonLabel
+     * @returns {Object} {daemons, confidence}: daemons as {name, tier, codes, status}, with UNKNOWN_CODE for
+     *   codes that couldn't be read, name and tier null if unknown, status one of DAEMON_STATUSES; and the
+     *   confidence of each daemon's least certain code
+     */
+    summarizeDaemons(sequences, labels = []) {
+        if (sequences.length === 0) {
+            console.warn('No sequences detected');
+        }
+
+        const daemons = sequences.map((codes, i) => ({
+            name: labels[i] ? labels[i].name : null,
+            tier: labels[i] ? labels[i].tier : null,
+            codes: codes.map(result => result.code),
+            status: labels[i] ? labels[i].status : 'pending'
+        }));
+        console.log('Extracted daemons:');
+        daemons.forEach(daemon => console.log(`${daemon.codes.join(' ')}  ${daemon.name || 'unnamed'} (${daemon.tier || 'unknown tier'}, ${daemon.status})`));
+
+        return {
+            daemons,
+            confidence: sequences.map(codes => Math.min(...codes.map(result => result.confidence)))
+        };
+    }
+
+    /**
+     * Read the codes in a word of a Tesseract result
+     * @param {Object} word - Tesseract word, with its symbols
+     * @returns {Array} {code, confidence} per code, from the confidence of its less certain character
+     */
+    readWordCodes(word) {
+        const codes = [];
+        const pattern = /[A-F0-9]{2}/g;
+        let match;
+        while ((match = pattern.exec(word.text)) !== null) {
+            const symbols = (word.symbols || []).slice(match.index, match.index + 2);
+            const confidence = symbols.length === 2
+                ? Math.min(...symbols.map(symbol => symbol.confidence))
+                : word.confidence;
+            codes.push(this.acceptCode({code: match[0], confidence: confidence / 100}));
+        }
+        return codes;
     }
 
     /**
      * Extract code matrix from the matrix region image
      * @param {Jimp} matrixImage - The image region containing the code matrix
-     * @returns {Array} 2D array representing the code matrix
+     * @returns {Object} {codeMatrix, confidence}, with UNKNOWN_CODE for codes that couldn't be read or were missing
      */
     async extractCodeMatrix(matrixImage) {
         console.log('Extracting code matrix...');
@@ -245,73 +1081,46 @@ class BreachProtocolOCR {
         const text = result.data.text;
 
         // Save raw OCR text for debugging
-        const debugDir = path.join(process.cwd(), 'debug');
-        fs.writeFileSync(path.join(debugDir, 'matrix_raw_text.txt'), text);
-
-        // Process the OCR result to extract the code matrix
-        // Split by lines and clean up
-        const lines = text.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
+        this.saveDebugText('matrix_raw_text.txt', text);
 
         console.log('Raw OCR lines:');
-        lines.forEach(line => console.log(`"${line}"`));
+        result.data.lines.forEach(line => console.log(`"${line.text.trim()}"`));
 
-        // Process each line to extract code values
-        const codeMatrix = [];
-
-        for (const line of lines) {
-            // Extract code values (typically 2 characters each, like "7A", "FF", "BD", etc.)
-            const matches = line.match(/[A-F0-9]{2}/g);
+        // Extract code values (typically 2 characters each, like "7A", "FF", "BD", etc.) line by line
+        const rows = result.data.lines
+            .map(line => line.words.flatMap(word => this.readWordCodes(word)))
+            .filter(codes => codes.length > 0);
 
-            if (matches && matches.length > 0) {
-                codeMatrix.push(matches);
-            }
+        if (rows.length === 0) {
+            console.warn('No valid code matrix extracted');
+            return {codeMatrix: [], confidence: []};
         }
 
-        // If no valid data was extracted, return a default matrix
-        if (codeMatrix.length === 0) {
-            console.warn('No valid code matrix extracted, using a default matrix');
-            return [
-                ["7A", "FF", "7A", "55", "FF", "1C", "7A"],
-                ["E9", "1C", "FF", "1C", "1C", "7A", "1C"],
-                ["55", "55", "55", "55", "FF", "BD", "7A"],
-                ["1C", "E9", "7A", "BD", "FF", "1C", "FF"],
-                ["FF", "E9", "FF", "7A", "FF", "1C", "BD"],
-                ["BD", "BD", "1C", "BD", "E9", "FF", "55"],
-                ["1C", "E9", "55", "E9", "55", "7A", "55"]
-            ];
-        }
-
-        // Normalize the matrix to ensure it's square
-        const matrixSize = Math.max(
-            ...codeMatrix.map(row => row.length),
-            codeMatrix.length
-        );
-
-        // Make sure the matrix is square with valid values in each cell
-        const normalizedMatrix = [];
-        for (let i = 0; i < matrixSize; i++) {
-            const row = codeMatrix[i] || [];
-            const normalizedRow = [];
+        // Pad the rows to the widest one read, marking the cells that weren't read as unknown.
+        // The grid needn't be square, so no rows or columns are added beyond those read.
+        const width = Math.max(...rows.map(row => row.length));
 
-            for (let j = 0; j < matrixSize; j++) {
-                normalizedRow.push(row[j] || this.getRandomCodeValue());
-            }
+        const codeMatrix = [];
+        const confidence = [];
+        for (const row of rows) {
+            const missing = {code: UNKNOWN_CODE, confidence: 0};
+            const cells = Array.from({length: width}, (_, j) => row[j] || missing);
 
-            normalizedMatrix.push(normalizedRow);
+            codeMatrix.push(cells.map(cell => cell.code));
+            confidence.push(cells.map(cell => cell.confidence));
         }
 
         console.log('Extracted code matrix:');
-        normalizedMatrix.forEach(row => console.log(row.join(' ')));
+        codeMatrix.forEach(row => console.log(row.join(' ')));
 
-        return normalizedMatrix;
+        return {codeMatrix, confidence};
     }
 
     /**
-     * Extract required sequences from the sequences region image
+     * Extract the daemons' sequences from the sequences region image, without their names as the
+     * code whitelist leaves them unreadable
      * @param {Jimp} seqImage - The image region containing the required sequences
-     * @returns {Array} Array of sequences, each sequence being an array of code values
+     * @returns {Object} {daemons, confidence}, see summarizeDaemons
      */
     async extractRequiredSequences(seqImage) {
         console.log('Extracting required sequences...');
@@ -325,107 +1134,307 @@ class BreachProtocolOCR {
         const text = result.data.text;
 
         // Save raw OCR text for debugging
-        const debugDir = path.join(process.cwd(), 'debug');
-        fs.writeFileSync(path.join(debugDir, 'sequences_raw_text.txt'), text);
+        this.saveDebugText('sequences_raw_text.txt', text);
 
         console.log('Raw sequences text:');
         console.log(text);
 
-        // Try different strategies to extract sequences
-        let requiredSequences = [];
-
-        // Strategy 1: Look for patterns that match sequence descriptions
+        // Collect the codes both per line and per block between daemon labels
         // In Cyberpunk, they are typically labeled as "BASIC DATAMINE", "ADVANCED DATAMINE", etc.
-        const sequenceBlocks = text.split(/DATAMINE/i)
-            .filter(block => block.trim().length > 0);
+        const lines = [];
+        const blocks = [[]];
+        result.data.lines.forEach(line => {
+            const codes = [];
+            line.words.forEach(word => {
+                if (/DATAMINE/i.test(word.text)) {
+                    blocks.push([]);
+                    return;
+                }
+                const wordCodes = this.readWordCodes(word);
+                codes.push(...wordCodes);
+                blocks[blocks.length - 1].push(...wordCodes);
+            });
+            lines.push(codes);
+        });
 
-        for (const block of sequenceBlocks) {
-            // Extract code values from each sequence block
-            const matches = block.match(/[A-F0-9]{2}/g);
+        // Strategy 1: one sequence per labelled block
+        // Strategy 2: without labels, one sequence per line with at least two codes
+        const sequences = blocks.length > 1
+            ? blocks.filter(codes => codes.length > 0)
+            : lines.filter(codes => codes.length >= 2);
 
-            if (matches && matches.length > 0) {
-                // Group matches into a sequence (usually 2-4 codes per sequence)
-                requiredSequences.push(matches.slice(0, Math.min(matches.length, 4)));
-            }
+        return this.summarizeDaemons(sequences);
+    }
+
+    /**
+     * Work out the buffer size by counting the slots in the buffer frame. The game shows no number,
+     * just a row of empty boxes that fill up as codes are picked.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object|null} grid - Matrix cell grid from detectMatrixGrid, which the buffer frame is found above
+     * @param {Object} [layout] - Scaled layout profile from getLayout, for where to look without a grid
+     * @returns {Object} {bufferSize, confidence, frame, slots}, confidence being 0, frame null and slots empty
+     *   if no slots were found and DEFAULT_BUFFER_SIZE is assumed
+     */
+    extractBufferSize(image, grid, layout) {
+        console.log('Extracting buffer size...');
+
+        const slots = this.detectBufferSlots(image, grid, layout);
+        if (!slots) {
+            console.log(`Buffer slots not found, using default buffer size: ${DEFAULT_BUFFER_SIZE}`);
+            return {bufferSize: DEFAULT_BUFFER_SIZE, confidence: 0, frame: null, slots: []};
         }
 
-        // Strategy 2: If no sequences found, try a different approach
-        if (requiredSequences.length === 0) {
-            // Look for lines with hex codes
-            const lines = text.split('\n').map(line => line.trim());
+        console.log(`Detected buffer size: ${slots.count} (confidence ${slots.confidence.toFixed(2)})`);
+        return {bufferSize: slots.count, confidence: slots.confidence, frame: slots.frame, slots: slots.slots};
+    }
 
-            for (const line of lines) {
-                const matches = line.match(/[A-F0-9]{2}/g);
-                if (matches && matches.length >= 2) {
-                    // Group matches into a sequence
-                    requiredSequences.push(matches.slice(0, Math.min(matches.length, 4)));
-                }
+    /**
+     * Find the buffer frame and the slot boxes inside it
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object|null} grid - Matrix cell grid from detectMatrixGrid. Without one the frame is looked for
+     *   in the layout profile's buffer region.
+     * @param {Object} [layout] - Scaled layout profile from getLayout (default: the one for the image's size)
+     * @returns {Object|null} {count, confidence, frame, slots}, slots being {x, y, width, height} boxes from left
+     *   to right, or null if no frame or slots were found. The confidence, from 0 to 1, drops as the slots
+     *   differ in size or spacing, as happens when one is missed.
+     */
+    detectBufferSlots(image, grid, layout = this.getLayout(image.bitmap.width, image.bitmap.height)) {
+        const {width, height} = image.bitmap;
+        const inset = Math.max(2, Math.round(height * PANEL_BORDER_INSET));
+
+        // The buffer frame is above the sequences panel, which lines up with the top of the matrix panel
+        const region = grid
+            ? {
+                left: grid.panel.right,
+                right: width,
+                top: Math.max(0, grid.panel.top - Math.round(height * BUFFER_SEARCH_HEIGHT)),
+                bottom: grid.panel.top - inset
             }
-        }
+            : {
+                left: layout.regions.buffer.x,
+                right: layout.regions.buffer.x + layout.regions.buffer.width,
+                top: layout.regions.buffer.y,
+                bottom: layout.regions.buffer.y + layout.regions.buffer.height
+            };
 
-        // If we still have no sequences, provide default sequences
-        if (requiredSequences.length === 0) {
-            console.warn('No sequences detected, using default fallback sequences');
-            requiredSequences = [
-                ['55', '55'],
-                ['FF', '55'],
-                ['1C', '7A', '7A']
-            ];
+        const frame = this.findBufferFrame(image, region);
+        if (!frame) {
+            console.warn('Could not find the buffer frame');
+            return null;
         }
 
-        // Limit to a reasonable number of sequences (usually 2-3 in the game)
-        if (requiredSequences.length > 3) {
-            requiredSequences = requiredSequences.slice(0, 3);
+        const slots = this.findBufferSlots(image, {
+            left: frame.left + inset,
+            right: frame.right - inset,
+            top: frame.top + inset,
+            bottom: frame.bottom - inset
+        });
+        if (slots.length === 0) {
+            console.warn('Found the buffer frame but no slots in it');
+            return null;
         }
 
-        console.log('Extracted required sequences:');
-        requiredSequences.forEach(seq => console.log(seq.join(' ')));
+        // Slots are all the same size and evenly spaced, anything else means some were missed or merged
+        const deviation = (values) => {
+            const middle = median(values);
+            return middle > 0 ? Math.max(...values.map(value => Math.abs(value - middle))) / middle : 0;
+        };
+        const pitches = slots.slice(1).map((slot, i) => slot.x - slots[i].x);
+        const spread = Math.max(
+            deviation(slots.map(slot => slot.width)),
+            deviation(slots.map(slot => slot.height)),
+            pitches.length > 0 ? deviation(pitches) : 0
+        );
+        // A single slot can't be checked against anything
+        const confidence = slots.length > 1 ? Math.max(0, 1 - spread) : 0.5;
 
-        return requiredSequences;
+        return {count: slots.length, confidence, frame, slots};
     }
 
     /**
-     * Extract buffer size from the buffer region image
-     * @param {Jimp} bufferImage - The image region containing the buffer size
-     * @returns {number} Buffer size
+     * Find the buffer frame: a bright box outline, whose top and bottom lines start and end together
+     * with bright sides joining them. The lowest such box in the region is taken.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} region - Where to look, as {left, right, top, bottom}
+     * @returns {Object|null} The frame as {left, right, top, bottom}, or null if there is none
      */
-    async extractBufferSize(bufferImage) {
-        console.log('Extracting buffer size...');
-
-        try {
-            // Perform OCR on the buffer region
-            const buffer = await bufferImage.getBufferAsync(Jimp.MIME_PNG);
-            const result = await this.worker.recognize(buffer);
-            const text = result.data.text.trim();
-
-            console.log(`Buffer OCR text: "${text}"`);
-
-            // Try to extract a number from the text
-            const matches = text.match(/\d+/g);
-            if (matches && matches.length > 0) {
-                // Use the first number found
-                const bufferSize = parseInt(matches[0]);
-                if (bufferSize > 0 && bufferSize <= 10) {
-                    console.log(`Detected buffer size: ${bufferSize}`);
-                    return bufferSize;
+    findBufferFrame(image, region) {
+        const {data, width, height} = image.bitmap;
+        const isBright = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return Math.max(data[idx], data[idx + 1], data[idx + 2]) >= GLYPH_BRIGHTNESS;
+        };
+        const maxThickness = Math.max(2, Math.round(height * PANEL_BORDER_INSET));
+
+        // Horizontal lines are runs of rows with a long bright run, thin unlike the panel header bars
+        const lines = [];
+        let line = null;
+        for (let y = region.top; y < region.bottom; y++) {
+            let best = {start: 0, end: 0};
+            let start = region.left;
+            for (let x = region.left; x <= region.right; x++) {
+                if (x < region.right && isBright(x, y)) {
+                    continue;
+                }
+                if (x - start > best.end - best.start) {
+                    best = {start, end: x};
                 }
+                start = x + 1;
+            }
+
+            if (best.end - best.start < height * BUFFER_FRAME_MIN_WIDTH) {
+                line = null;
+                continue;
+            }
+            if (line) {
+                line.bottom = y + 1;
+                line.runs.push(best);
+            } else {
+                line = {top: y, bottom: y + 1, runs: [best]};
+                lines.push(line);
             }
-        } catch (error) {
-            console.error('Error detecting buffer size:', error);
         }
 
-        // Default buffer size if not detected
-        console.log('Using default buffer size: 8');
-        return 8;
+        // A line's ends are those of its longest row, as scaled down screenshots blur a row either side of it
+        const edges = lines
+            .filter(candidate => candidate.bottom - candidate.top <= maxThickness)
+            .map(candidate => {
+                const longest = candidate.runs.reduce((best, run) => run.end - run.start > best.end - best.start ? run : best);
+                return {top: candidate.top, bottom: candidate.bottom, left: longest.start, right: longest.end};
+            });
+
+        // The sides are bright down most of the frame
+        const hasSide = (x, top, bottom) => {
+            let count = 0;
+            for (let y = top; y < bottom; y++) {
+                if (isBright(x, y) || isBright(Math.min(width - 1, x + 1), y) || isBright(Math.max(0, x - 1), y)) {
+                    count++;
+                }
+            }
+            return count >= (bottom - top) * 0.8;
+        };
+
+        let frame = null;
+        edges.forEach((upper, i) => {
+            edges.slice(i + 1).forEach(lower => {
+                const gap = lower.top - upper.bottom;
+                if (gap < height * 0.03 || gap > height * 0.12 ||
+                    Math.abs(upper.left - lower.left) > maxThickness || Math.abs(upper.right - lower.right) > maxThickness) {
+                    return;
+                }
+                const left = Math.max(upper.left, lower.left);
+                const right = Math.min(upper.right, lower.right);
+                if (hasSide(left, upper.bottom, lower.top) && hasSide(right - 1, upper.bottom, lower.top) &&
+                    (!frame || lower.bottom > frame.bottom)) {
+                    frame = {left, right, top: upper.top, bottom: lower.bottom};
+                }
+            });
+        });
+
+        return frame;
     }
 
     /**
-     * Generate a random code value for filling in missing matrix cells
-     * @returns {string} Random code value
+     * Find the slot boxes inside the buffer frame. Empty slots have dim dashed outlines and filled ones a
+     * solid box around the code, so edge pixels are thickened to close the dashes, and each roughly
+     * square outline at least half the frame's height is one slot.
+     * @param {Jimp} image - The full colour screenshot
+     * @param {Object} inside - The inside of the buffer frame, as {left, right, top, bottom}
+     * @returns {Array} Slot boxes as {x, y, width, height}, from left to right
      */
-    getRandomCodeValue() {
-        const codeValues = ['1C', '7A', '55', 'FF', 'BD', 'E9'];
-        return codeValues[Math.floor(Math.random() * codeValues.length)];
+    findBufferSlots(image, inside) {
+        const {data, width, height} = image.bitmap;
+        const regionWidth = inside.right - inside.left;
+        const regionHeight = inside.bottom - inside.top;
+        if (regionWidth <= 0 || regionHeight <= 0) {
+            return [];
+        }
+
+        // Outline pixels are on a sharp edge, which works on the lighter panel backgrounds too.
+        // They are thickened horizontally then vertically.
+        const brightness = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return Math.max(data[idx], data[idx + 1], data[idx + 2]);
+        };
+        const radius = Math.max(1, Math.round(height * SLOT_DASH_GAP));
+        const outline = new Uint8Array(regionWidth * regionHeight);
+        for (let y = 0; y < regionHeight; y++) {
+            for (let x = 0; x < regionWidth; x++) {
+                const imageX = inside.left + x;
+                const imageY = inside.top + y;
+                const edge = Math.max(
+                    Math.abs(brightness(imageX + 1, imageY) - brightness(imageX - 1, imageY)),
+                    Math.abs(brightness(imageX, imageY + 1) - brightness(imageX, imageY - 1))
+                );
+                outline[y * regionWidth + x] = edge >= SLOT_EDGE_CONTRAST ? 1 : 0;
+            }
+        }
+        const thicken = (mask, dx, dy) => {
+            const result = new Uint8Array(mask.length);
+            for (let y = 0; y < regionHeight; y++) {
+                for (let x = 0; x < regionWidth; x++) {
+                    for (let d = -radius; d <= radius && !result[y * regionWidth + x]; d++) {
+                        const nx = x + d * dx;
+                        const ny = y + d * dy;
+                        if (nx >= 0 && nx < regionWidth && ny >= 0 && ny < regionHeight && mask[ny * regionWidth + nx]) {
+                            result[y * regionWidth + x] = 1;
+                        }
+                    }
+                }
+            }
+            return result;
+        };
+        const mask = thicken(thicken(outline, 1, 0), 0, 1);
+
+        // Bounding box of each connected outline
+        const seen = new Uint8Array(mask.length);
+        const boxes = [];
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || seen[start]) {
+                continue;
+            }
+            const box = {left: Infinity, right: -1, top: Infinity, bottom: -1};
+            const stack = [start];
+            seen[start] = 1;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % regionWidth;
+                const y = (index - x) / regionWidth;
+                box.left = Math.min(box.left, x);
+                box.right = Math.max(box.right, x + 1);
+                box.top = Math.min(box.top, y);
+                box.bottom = Math.max(box.bottom, y + 1);
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < regionWidth - 1 ? index + 1 : -1,
+                    y > 0 ? index - regionWidth : -1,
+                    y < regionHeight - 1 ? index + regionWidth : -1
+                ];
+                neighbours.forEach(next => {
+                    if (next !== -1 && mask[next] && !seen[next]) {
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                });
+            }
+            boxes.push(box);
+        }
+
+        // Codes in filled slots and specks of noise are smaller, lines along the frame are far from square
+        return boxes
+            .filter(box => {
+                const boxWidth = box.right - box.left;
+                const boxHeight = box.bottom - box.top;
+                return boxHeight >= regionHeight * 0.45 && boxWidth >= boxHeight * 0.7 && boxWidth <= boxHeight * 1.4;
+            })
+            .map(box => ({
+                x: inside.left + box.left,
+                y: inside.top + box.top,
+                width: box.right - box.left,
+                height: box.bottom - box.top
+            }))
+            .sort((a, b) => a.x - b.x);
     }
 
     /**
@@ -440,13 +1449,157 @@ class BreachProtocolOCR {
     }
 }
 
+/**
+ * @param {Array} values - Numbers
+ * @returns {number} The median value, or 0 for an empty array
+ */
+function median(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Tell a daemon's tier from its name
+ * @param {string} name - Daemon name, in upper case
+ * @returns {string|null} One of the DAEMON_TIERS tiers, or null for a daemon that isn't tiered
+ */
+function daemonTier(name) {
+    const match = DAEMON_TIERS.find(({pattern}) => pattern.test(name));
+    return match ? match.tier : null;
+}
+
+/**
+ * Load the font debug annotations are printed in, once
+ * @returns {Promise<Object>} Jimp bitmap font
+ */
+function loadDebugFont() {
+    if (!debugFont) {
+        debugFont = Jimp.loadFont(Jimp.FONT_SANS_16_WHITE);
+    }
+    return debugFont;
+}
+
+/**
+ * Draw the outline of a box onto an image, clipped to the image
+ * @param {Jimp} image - Image to draw on
+ * @param {Object} box - {x, y, width, height}
+ * @param {number} color - Jimp RGBA colour
+ * @param {number} thickness - Line width in pixels
+ */
+function drawBox(image, box, color, thickness) {
+    const {width, height} = image.bitmap;
+    const left = Math.max(0, Math.round(box.x));
+    const top = Math.max(0, Math.round(box.y));
+    const right = Math.min(width, Math.round(box.x + box.width));
+    const bottom = Math.min(height, Math.round(box.y + box.height));
+
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            const isEdge = x < left + thickness || x >= right - thickness || y < top + thickness || y >= bottom - thickness;
+            if (isEdge) {
+                image.setPixelColor(color, x, y);
+            }
+        }
+    }
+}
+
+/**
+ * Solver weights for daemons, going by their tiers. Untiered daemons count as basic ones.
+ * @param {Array} daemons - Daemons as {tier}
+ * @returns {Array} Tier name per daemon, for the solver's weights option
+ */
+function daemonWeights(daemons) {
+    return daemons.map(daemon => daemon.tier || 'basic');
+}
+
+/**
+ * List the codes OCR couldn't read, which have to be resolved before the puzzle can be trusted
+ * @param {Object} data - {codeMatrix, requiredSequences, confidence} as returned by processImage
+ * @returns {Object} {cells, sequences}: cells as {row, col, confidence} and sequence codes as
+ *   {sequence, position, confidence}, all counting from 0
+ */
+function findUnknownCodes(data) {
+    const confidence = data.confidence || {};
+    const cells = [];
+    data.codeMatrix.forEach((row, r) => row.forEach((code, c) => {
+        if (code === UNKNOWN_CODE) {
+            const cellConfidence = confidence.codeMatrix && confidence.codeMatrix[r] ? confidence.codeMatrix[r][c] : 0;
+            cells.push({row: r, col: c, confidence: cellConfidence});
+        }
+    }));
+
+    const sequences = [];
+    data.requiredSequences.forEach((sequence, s) => sequence.forEach((code, position) => {
+        if (code === UNKNOWN_CODE) {
+            const sequenceConfidence = confidence.requiredSequences ? confidence.requiredSequences[s] : 0;
+            sequences.push({sequence: s, position, confidence: sequenceConfidence});
+        }
+    }));
+
+    return {cells, sequences};
+}
+
+/**
+ * Pick the daemons to solve for: those still to be uploaded, leaving out empty sequences and ones with unknown codes
+ * @param {Array} daemons - Daemons as read, {name, tier, codes, status}
+ * @returns {Array} The daemons to solve for
+ */
+function findSolvableDaemons(daemons) {
+    return daemons.filter(daemon =>
+        daemon.status === 'pending' && daemon.codes.length > 0 && !daemon.codes.includes(UNKNOWN_CODE)
+    );
+}
+
+/**
+ * Clean up the matrix so every row has the same number of codes.
+ * The result may be rectangular, which the solver handles.
+ * @param {Array} matrix - The extracted code matrix
+ * @returns {Array} Cleaned matrix
+ */
+function cleanMatrix(matrix) {
+    // Determine the most common row length
+    const rowLengths = matrix.map(row => row.length);
+    const mostCommonLength = findMostCommon(rowLengths);
+
+    // Keep only rows with the most common length, unknown codes and all
+    const cleanedMatrix = matrix.filter(row => row.length === mostCommonLength);
+
+    // Ensure we have a reasonable number of rows
+    if (cleanedMatrix.length < 3) {
+        console.warn('Warning: Very few valid rows detected in the matrix. OCR might not be accurate.');
+    }
+
+    return cleanedMatrix;
+}
+
+/**
+ * Find the most common value in an array
+ * @param {Array} arr - Input array
+ * @returns {*} Most common value
+ */
+function findMostCommon(arr) {
+    // A Map keeps the values' types, object keys would turn row lengths into strings
+    const counts = new Map();
+    arr.forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+
+    const [mostCommon] = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1]);
+    return mostCommon ? mostCommon[0] : undefined;
+}
+
 /**
  * Helper function to process an image file
  * @param {string} imagePath - Path to the image file
+ * @param {Object} [options] - BreachProtocolOCR options, such as {engine: 'template'}
  * @returns {Promise<Object>} Extracted game data
  */
-async function processBreachProtocolImage(imagePath) {
-    const ocr = new BreachProtocolOCR();
+async function processBreachProtocolImage(imagePath, options = {}) {
+    const ocr = new BreachProtocolOCR(options);
 
     try {
         await ocr.initialize();
@@ -465,5 +1618,12 @@ async function processBreachProtocolImage(imagePath) {
 
 module.exports = {
     BreachProtocolOCR,
-    processBreachProtocolImage
+    processBreachProtocolImage,
+    findUnknownCodes,
+    findSolvableDaemons,
+    cleanMatrix,
+    daemonTier,
+    daemonWeights,
+    UNKNOWN_CODE,
+    DAEMON_STATUSES
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Pool of long-lived BreachProtocolOCR instances, so each screenshot doesn't pay for starting a Tesseract worker
+const os = require('os');
+const {BreachProtocolOCR} = require('./BreachProtocolOCRupdatedAgain');
+
+/**
+ * Hands screenshots to a limited number of initialized BreachProtocolOCR instances, starting them as needed
+ * and keeping them for the next screenshot. Each instance processes one screenshot at a time.
+ */
+class OcrPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size] - Maximum number of screenshots processed at once (default: CPU count - 1, at least 1)
+     * @param {number} [options.maxQueue=100] - Maximum number of screenshots waiting for an OCR instance
+     * @param {Object} [options.ocrOptions] - BreachProtocolOCR options, such as {engine: 'template'}
+     */
+    constructor(options = {}) {
+        this.size = options.size || Math.max(1, os.cpus().length - 1);
+        this.maxQueue = options.maxQueue || 100;
+        this.ocrOptions = options.ocrOptions || {};
+
+        this.idle = [];
+        this.busy = new Set();
+        this.starting = 0;
+        this.queue = [];
+        this.closed = false;
+    }
+
+    /**
+     * Extract the breach protocol data from a screenshot
+     * @param {string} imagePath - Path to the screenshot image
+     * @returns {Promise<Object>} Extracted game data, as from BreachProtocolOCR.processImage
+     */
+    async process(imagePath) {
+        const ocr = await this.acquire();
+        try {
+            return await ocr.processImage(imagePath);
+        } finally {
+            this.release(ocr);
+        }
+    }
+
+    /**
+     * Terminate every idle OCR instance and refuse new screenshots. Busy instances are terminated
+     * once they finish their screenshot.
+     */
+    async close() {
+        this.closed = true;
+        this.queue.splice(0).forEach(waiter => waiter.reject(new Error('OCR pool closed')));
+        await Promise.all(this.idle.splice(0).map(ocr => ocr.terminate()));
+    }
+
+    /**
+     * Get an idle OCR instance, start a new one if there's room, or wait for one to be released
+     * @returns {Promise<BreachProtocolOCR>} An OCR instance, marked busy
+     */
+    acquire() {
+        if (this.closed) {
+            return Promise.reject(new Error('OCR pool closed'));
+        }
+
+        const ocr = this.idle.pop();
+        if (ocr) {
+            this.busy.add(ocr);
+            return Promise.resolve(ocr);
+        }
+
+        if (this.busy.size + this.starting < this.size) {
+            return this.start();
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            return Promise.reject(new Error('OCR queue is full, try again shortly'));
+        }
+        return new Promise((resolve, reject) => this.queue.push({resolve, reject}));
+    }
+
+    /**
+     * Hand an OCR instance to the next waiting screenshot, or keep it until one comes along
+     * @param {BreachProtocolOCR} ocr - Instance that finished its screenshot
+     */
+    release(ocr) {
+        this.busy.delete(ocr);
+
+        if (this.closed) {
+            ocr.terminate().catch(() => {
+            });
+            return;
+        }
+
+        const waiter = this.queue.shift();
+        if (waiter) {
+            this.busy.add(ocr);
+            waiter.resolve(ocr);
+        } else {
+            this.idle.push(ocr);
+        }
+    }
+
+    /**
+     * Start and initialize a new OCR instance
+     * @returns {Promise<BreachProtocolOCR>} The instance, marked busy
+     */
+    async start() {
+        this.starting++;
+        let ocr = null;
+        try {
+            ocr = new BreachProtocolOCR(this.ocrOptions);
+            await ocr.initialize();
+        } catch (error) {
+            this.starting--;
+            if (ocr) {
+                await ocr.terminate().catch(() => {
+                });
+            }
+            // A failed start leaves room for the screenshots waiting behind it
+            this.startForWaiters();
+            throw error;
+        }
+        this.starting--;
+
+        if (this.closed) {
+            await ocr.terminate();
+            throw new Error('OCR pool closed');
+        }
+        this.busy.add(ocr);
+        return ocr;
+    }
+
+    /**
+     * Start instances for waiting screenshots while there's room for them
+     */
+    startForWaiters() {
+        while (this.queue.length > 0 && this.busy.size + this.starting < this.size) {
+            const waiter = this.queue.shift();
+            this.start().then(waiter.resolve, waiter.reject);
+        }
+    }
+}
+
+module.exports = {
+    OcrPool
+};
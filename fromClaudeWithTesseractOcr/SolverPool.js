@@ -0,0 +1,254 @@
+// Pool of worker threads running the Breach Protocol solver, so expensive puzzles don't block the web server
+const os = require('os');
+const path = require('path');
+const {Worker} = require('worker_threads');
+
+/**
+ * Queues solver jobs and runs them on a limited number of reusable worker threads
+ */
+class SolverPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Maximum number of jobs solving at once (default: CPU count - 1, at least 1)
+     * @param {number} [options.timeoutMs=30000] - Hard limit per job, after which its worker is terminated
+     * @param {number} [options.maxQueue=100] - Maximum number of jobs waiting for a worker
+     * @param {number} [options.historySize=200] - Number of finished jobs kept for status lookups
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || Math.max(1, os.cpus().length - 1);
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.maxQueue = options.maxQueue || 100;
+        this.historySize = options.historySize || 200;
+        this.workerPath = path.join(__dirname, 'solverWorker.js');
+
+        this.idleWorkers = [];
+        this.busyWorkers = new Map(); // worker -> job
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Queue a solver job
+     * @param {Object} task - {codeMatrix, requiredSequences, bufferSize, options, limit}, as for BreachProtocol,
+     *   with type: 'analyze' to run analyzePuzzle instead of solving
+     * @returns {Object} The job, with an id and a promise for the solver result
+     */
+    submit(task) {
+        if (this.queue.length >= this.maxQueue) {
+            throw new Error('Solver queue is full, try again shortly');
+        }
+
+        const job = {
+            id: String(this.nextJobId++),
+            status: 'queued',
+            task,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        // Callers that only poll the job status never await the promise
+        job.promise.catch(() => {
+        });
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.trimHistory();
+        this.dispatch();
+
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running job. A running job's worker is terminated and replaced.
+     * @param {string} id - Job id
+     * @returns {boolean} True if the job was cancelled, false if it was unknown or already finished
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return false;
+        }
+
+        if (job.status === 'queued') {
+            this.queue.splice(this.queue.indexOf(job), 1);
+            this.settle(job, 'cancelled', null, new Error('Job cancelled'));
+            return true;
+        }
+
+        if (job.status === 'running') {
+            this.finish(this.findWorker(job), job, 'cancelled', null, new Error('Job cancelled'), true);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Look up a job's status
+     * @param {string} id - Job id
+     * @returns {Object|null} Status, timings and the result or error once finished, or null if unknown
+     */
+    getJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        return {
+            id: job.id,
+            status: job.status,
+            queuePosition: job.status === 'queued' ? this.queue.indexOf(job) + 1 : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    /**
+     * Terminate every worker and cancel all queued jobs
+     */
+    async close() {
+        this.queue.splice(0).forEach(job => this.settle(job, 'cancelled', null, new Error('Solver pool closed')));
+        const running = Array.from(this.busyWorkers.entries());
+        running.forEach(([worker, job]) => this.finish(worker, job, 'cancelled', null, new Error('Solver pool closed'), true));
+        await Promise.all(this.idleWorkers.splice(0).map(worker => worker.terminate()));
+    }
+
+    /**
+     * Start queued jobs while there are workers free
+     */
+    dispatch() {
+        while (this.queue.length > 0 && (this.idleWorkers.length > 0 || this.busyWorkers.size < this.concurrency)) {
+            const job = this.queue.shift();
+            const worker = this.idleWorkers.pop() || this.createWorker();
+
+            job.status = 'running';
+            job.startedAt = Date.now();
+            job.timer = setTimeout(() => {
+                this.finish(worker, job, 'timed-out', null, new Error(`Solver timed out after ${this.timeoutMs}ms`), true);
+            }, this.timeoutMs);
+
+            this.busyWorkers.set(worker, job);
+            worker.postMessage({jobId: job.id, ...job.task});
+        }
+    }
+
+    /**
+     * Start a new worker thread and wire up its results
+     * @returns {Worker} The worker
+     */
+    createWorker() {
+        const worker = new Worker(this.workerPath);
+
+        worker.on('message', ({jobId, result, error}) => {
+            const job = this.busyWorkers.get(worker);
+            if (!job || job.id !== jobId) {
+                return;
+            }
+            if (error) {
+                this.finish(worker, job, 'failed', null, new Error(error));
+            } else {
+                this.finish(worker, job, 'completed', result);
+            }
+        });
+
+        worker.on('error', error => {
+            const job = this.busyWorkers.get(worker);
+            if (job) {
+                this.finish(worker, job, 'failed', null, error, true);
+            }
+        });
+
+        worker.on('exit', () => {
+            // Only reached unexpectedly, as finish() forgets a worker before terminating it
+            const idleIndex = this.idleWorkers.indexOf(worker);
+            if (idleIndex !== -1) {
+                this.idleWorkers.splice(idleIndex, 1);
+            }
+            const job = this.busyWorkers.get(worker);
+            if (job) {
+                this.finish(worker, job, 'failed', null, new Error('Solver worker exited unexpectedly'), true);
+            }
+        });
+
+        return worker;
+    }
+
+    /**
+     * Finish a running job and free up or replace its worker
+     * @param {Worker} worker - Worker that ran the job
+     * @param {Object} job - The job
+     * @param {string} status - 'completed', 'failed', 'timed-out' or 'cancelled'
+     * @param {Object|null} result - Solver result
+     * @param {Error|null} [error] - Why the job didn't complete
+     * @param {boolean} [discardWorker=false] - Terminate the worker instead of reusing it
+     */
+    finish(worker, job, status, result, error = null, discardWorker = false) {
+        clearTimeout(job.timer);
+        this.busyWorkers.delete(worker);
+
+        if (discardWorker) {
+            worker.terminate();
+        } else {
+            this.idleWorkers.push(worker);
+        }
+
+        this.settle(job, status, result, error);
+        this.dispatch();
+    }
+
+    /**
+     * Record a job's outcome and resolve or reject its promise
+     * @param {Object} job - The job
+     * @param {string} status - Final status
+     * @param {Object|null} result - Solver result
+     * @param {Error|null} error - Why the job didn't complete
+     */
+    settle(job, status, result, error) {
+        job.status = status;
+        job.finishedAt = Date.now();
+        job.result = result;
+        job.error = error ? error.message : null;
+
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * @param {Object} job - A running job
+     * @returns {Worker} The worker running it
+     */
+    findWorker(job) {
+        for (const [worker, runningJob] of this.busyWorkers) {
+            if (runningJob === job) {
+                return worker;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forget the oldest finished jobs once there are more than historySize of them
+     */
+    trimHistory() {
+        const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt !== null);
+        finished.slice(0, Math.max(0, finished.length - this.historySize))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = {
+    SolverPool
+};
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Builds the reference glyphs in templates/ for the template OCR engine, from example screenshots
+// whose code matrices are known from their ground truth.
+// Each template is the average of every matrix cell showing that code.
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const {BreachProtocolOCR} = require('./BreachProtocolOCRupdatedAgain');
+const {normalizeGlyph, TEMPLATE_WIDTH, TEMPLATE_HEIGHT, TEMPLATE_DIR} = require('./codeRecognizers');
+
+const EXAMPLE_DIR = path.join(__dirname, '..', 'exampleImages');
+
+// Screenshots in exampleImages/ the templates are built from, their code matrices taken from exampleImages/groundTruth/.
+// The other screenshots are held out, so the regression tests can tell how well the templates read codes they weren't built from.
+const TRAINING_IMAGES = [
+    '20250221230051_1.jpg',
+    '20250126165756_1.jpg',
+    '20241016164756_1.jpg',
+    '20240623150405_1.jpg',
+    '20241104192129_1.jpg'
+];
+
+/**
+ * Load the code matrix of a training screenshot from its ground truth
+ * @param {string} exampleDir - Directory holding the screenshots, with their ground truth in groundTruth/
+ * @param {string} image - File name of the screenshot
+ * @returns {Array} The code matrix
+ */
+function loadCodeMatrix(exampleDir, image) {
+    const truthPath = path.join(exampleDir, 'groundTruth', `${path.parse(image).name}.json`);
+    if (!fs.existsSync(truthPath)) {
+        throw new Error(`No ground truth for ${image}, expected ${truthPath}`);
+    }
+    return JSON.parse(fs.readFileSync(truthPath, 'utf8')).codeMatrix;
+}
+
+/**
+ * Average the normalized glyphs of every known cell into one template per code
+ * @param {string} exampleDir - Directory holding the TRAINING_IMAGES screenshots
+ * @returns {Promise<Map>} Code -> {sum, count}
+ */
+async function collectGlyphs(exampleDir) {
+    const ocr = new BreachProtocolOCR({engine: 'template'});
+    const glyphs = new Map();
+
+    for (const imageName of TRAINING_IMAGES) {
+        const codeMatrix = loadCodeMatrix(exampleDir, imageName);
+        const image = await Jimp.read(path.join(exampleDir, imageName));
+        const grid = ocr.detectMatrixGrid(image);
+        if (!grid || grid.cells.length !== codeMatrix.length || grid.cells[0].length !== codeMatrix[0].length) {
+            throw new Error(`Could not find the ${codeMatrix.length}x${codeMatrix[0].length} code matrix in ${imageName}`);
+        }
+
+        grid.cells.forEach((row, r) => row.forEach((cell, c) => {
+            const glyph = normalizeGlyph(image, cell);
+            if (!glyph) {
+                return;
+            }
+
+            const code = codeMatrix[r][c];
+            if (!glyphs.has(code)) {
+                glyphs.set(code, {sum: new Float32Array(glyph.length), count: 0});
+            }
+            const entry = glyphs.get(code);
+            glyph.forEach((value, i) => {
+                entry.sum[i] += value;
+            });
+            entry.count++;
+        }));
+    }
+
+    return glyphs;
+}
+
+/**
+ * Build the templates and write them as greyscale PNGs
+ * @param {string} [exampleDir] - Directory holding the TRAINING_IMAGES screenshots
+ * @param {string} [outputDir] - Directory to write <code>.png templates to
+ */
+async function buildTemplates(exampleDir = EXAMPLE_DIR, outputDir = TEMPLATE_DIR) {
+    const glyphs = await collectGlyphs(exampleDir);
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, {recursive: true});
+    }
+
+    for (const [code, {sum, count}] of glyphs) {
+        const template = new Jimp(TEMPLATE_WIDTH, TEMPLATE_HEIGHT, 0x000000ff);
+        template.scan(0, 0, TEMPLATE_WIDTH, TEMPLATE_HEIGHT, function (x, y, idx) {
+            const value = Math.round(sum[y * TEMPLATE_WIDTH + x] / count * 255);
+            this.bitmap.data[idx] = this.bitmap.data[idx + 1] = this.bitmap.data[idx + 2] = value;
+        });
+        await template.writeAsync(path.join(outputDir, `${code}.png`));
+        console.log(`${code}: averaged ${count} cells`);
+    }
+}
+
+if (require.main === module) {
+    const [exampleDir, outputDir] = process.argv.slice(2);
+    buildTemplates(exampleDir, outputDir).catch(error => {
+        console.error('Error building templates:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    buildTemplates,
+    TRAINING_IMAGES
+};
@@ -0,0 +1,330 @@
+// Recognizer backends for BreachProtocolOCR, reading the code in each cropped matrix or sequence cell
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+
+/**
+ * The codes that appear in the game
+ */
+const CODE_VALUES = ['1C', '7A', '55', 'FF', 'BD', 'E9'];
+
+/**
+ * Stands in for a code that couldn't be read with enough confidence, in place of guessing one
+ */
+const UNKNOWN_CODE = '??';
+
+/**
+ * Available recognizer backends, for BreachProtocolOCR's engine option and the CLI's --ocr-engine
+ */
+const OCR_ENGINES = ['tesseract', 'template'];
+
+/**
+ * Characters Tesseract may read in a code, and in labels such as the daemon names
+ */
+const CODE_CHARACTERS = 'ABCDEF1234567890';
+const LABEL_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .-';
+
+// Brightest channel of a glyph pixel, the panel background is around 40
+const GLYPH_BRIGHTNESS = 140;
+
+// Glyph height in pixels that cells are scaled to before Tesseract reads them
+const CELL_OCR_HEIGHT = 48;
+
+// Size every glyph pair is normalized to for template matching
+const TEMPLATE_WIDTH = 32;
+const TEMPLATE_HEIGHT = 16;
+
+// Lowest normalized correlation with the best template to accept a match
+const MIN_TEMPLATE_SCORE = 0.5;
+
+// Lowest Tesseract confidence in either character of a code to accept it
+const MIN_SYMBOL_CONFIDENCE = 0.6;
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+/**
+ * Reads cells with Tesseract, one cell at a time
+ */
+class TesseractRecognizer {
+    /**
+     * @param {Object} worker - Initialized Tesseract worker, with the hex character whitelist set
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.minConfidence = MIN_SYMBOL_CONFIDENCE;
+    }
+
+    /**
+     * Read the code in each cell
+     * @param {Jimp} image - Image the cells are in
+     * @param {Array} cells - Cell boxes as {x, y, width, height}
+     * @param {number} glyphHeight - Height of the glyphs, used to scale them to a size Tesseract reads well
+     * @returns {Promise<Array>} {code, confidence} per cell, code being null if nothing was read. The confidence is
+     *   that of the less certain character, as Tesseract's word confidence is often 0 for a correct two-character read.
+     */
+    async recognizeCells(image, cells, glyphHeight) {
+        const results = cells.map(() => ({code: null, confidence: 0}));
+        const isAccepted = result => CODE_VALUES.includes(result.code) && result.confidence >= this.minConfidence;
+
+        // Read each cell as a line of text first, then read any that didn't give a known code again as a
+        // single word: as a line Tesseract misreads 55 as 05, as a word it drops the thin 1 of 1C
+        try {
+            for (const pageSegMode of ['7', '8']) {
+                await this.worker.setParameters({tessedit_pageseg_mode: pageSegMode});
+
+                for (let i = 0; i < cells.length; i++) {
+                    if (isAccepted(results[i])) {
+                        continue;
+                    }
+
+                    const cellImage = binarizeCell(image, cells[i], CELL_OCR_HEIGHT / Math.max(1, glyphHeight));
+                    const buffer = await cellImage.getBufferAsync(Jimp.MIME_PNG);
+                    const result = await this.worker.recognize(buffer);
+                    const read = readCode(result.data);
+
+                    const isKnown = read && CODE_VALUES.includes(read.code);
+                    const wasKnown = CODE_VALUES.includes(results[i].code);
+                    if (read && ((isKnown && (!wasKnown || read.confidence > results[i].confidence)) || !results[i].code)) {
+                        results[i] = read;
+                    }
+                }
+            }
+        } finally {
+            await this.worker.setParameters({tessedit_pageseg_mode: '6'});
+        }
+
+        return results;
+    }
+
+    /**
+     * Read a block of text, such as the name and description of a daemon
+     * @param {Jimp} image - Image the text is in
+     * @param {Object} box - Box around the text as {x, y, width, height}
+     * @param {number} glyphHeight - Height of the code glyphs, used to scale the text as the cells are
+     * @returns {Promise<Object>} {lines, confidence}, lines being the text of each line and confidence from 0 to 1
+     */
+    async recognizeText(image, box, glyphHeight) {
+        try {
+            await this.worker.setParameters({tessedit_char_whitelist: LABEL_CHARACTERS});
+
+            const textImage = binarizeCell(image, box, CELL_OCR_HEIGHT / Math.max(1, glyphHeight));
+            const buffer = await textImage.getBufferAsync(Jimp.MIME_PNG);
+            const result = await this.worker.recognize(buffer);
+
+            return {
+                lines: result.data.lines.map(line => line.text.trim()).filter(text => text.length > 0),
+                confidence: result.data.confidence / 100
+            };
+        } finally {
+            await this.worker.setParameters({tessedit_char_whitelist: CODE_CHARACTERS});
+        }
+    }
+}
+
+/**
+ * Reads cells by normalized template matching against reference glyphs, fully offline.
+ * The references in templates/ are averaged from the example screenshots by buildTemplates.js.
+ */
+class TemplateRecognizer {
+    /**
+     * @param {string} [templateDir] - Directory holding one <code>.png reference per code
+     */
+    constructor(templateDir = TEMPLATE_DIR) {
+        this.templateDir = templateDir;
+        this.templates = [];
+        this.minConfidence = MIN_TEMPLATE_SCORE;
+    }
+
+    /**
+     * Load the reference glyphs
+     */
+    async initialize() {
+        const files = fs.readdirSync(this.templateDir).filter(file => file.endsWith('.png'));
+        if (files.length === 0) {
+            throw new Error(`No code templates found in ${this.templateDir}, run buildTemplates.js first`);
+        }
+
+        this.templates = [];
+        for (const file of files) {
+            const image = await Jimp.read(path.join(this.templateDir, file));
+            if (image.bitmap.width !== TEMPLATE_WIDTH || image.bitmap.height !== TEMPLATE_HEIGHT) {
+                throw new Error(`Code template ${file} is ${image.bitmap.width}x${image.bitmap.height}, expected ${TEMPLATE_WIDTH}x${TEMPLATE_HEIGHT}`);
+            }
+
+            const values = new Float32Array(TEMPLATE_WIDTH * TEMPLATE_HEIGHT);
+            image.scan(0, 0, TEMPLATE_WIDTH, TEMPLATE_HEIGHT, function (x, y, idx) {
+                values[y * TEMPLATE_WIDTH + x] = this.bitmap.data[idx] / 255;
+            });
+
+            // Variants of the same code are named like FF-2.png
+            this.templates.push({code: path.basename(file, '.png').split('-')[0], vector: standardize(values)});
+        }
+
+        console.log(`Loaded ${this.templates.length} code templates`);
+    }
+
+    /**
+     * Read the code in each cell
+     * @param {Jimp} image - Image the cells are in
+     * @param {Array} cells - Cell boxes as {x, y, width, height}
+     * @returns {Promise<Array>} {code, confidence} per cell, code being null for an empty cell
+     */
+    async recognizeCells(image, cells) {
+        return cells.map(cell => this.recognizeCell(image, cell));
+    }
+
+    /**
+     * Match one cell against every template
+     * @param {Jimp} image - Image the cell is in
+     * @param {Object} cell - Cell box as {x, y, width, height}
+     * @returns {Object} {code, confidence}, confidence being the correlation with the best template
+     */
+    recognizeCell(image, cell) {
+        const glyph = normalizeGlyph(image, cell);
+        if (!glyph) {
+            return {code: null, confidence: 0};
+        }
+
+        const vector = standardize(glyph);
+        let best = {code: null, confidence: 0};
+        this.templates.forEach(template => {
+            let score = 0;
+            for (let i = 0; i < vector.length; i++) {
+                score += vector[i] * template.vector[i];
+            }
+            if (score > best.confidence) {
+                best = {code: template.code, confidence: score};
+            }
+        });
+
+        return best;
+    }
+}
+
+/**
+ * Create the recognizer for an OCR engine
+ * @param {string} engine - One of OCR_ENGINES
+ * @param {Object} [worker] - Tesseract worker, for the tesseract engine
+ * @returns {Object} Recognizer with recognizeCells(image, cells, glyphHeight)
+ */
+function createRecognizer(engine, worker) {
+    switch (engine) {
+        case 'tesseract':
+            return new TesseractRecognizer(worker);
+        case 'template':
+            return new TemplateRecognizer();
+        default:
+            throw new Error(`Unknown OCR engine: ${engine}, expected one of ${OCR_ENGINES.join(', ')}`);
+    }
+}
+
+/**
+ * Take the first two-character code from a Tesseract result
+ * @param {Object} data - Tesseract result data
+ * @returns {Object|null} {code, confidence}, confidence being the lower of the two characters' confidences
+ */
+function readCode(data) {
+    const text = data.text.replace(/\s/g, '');
+    const match = text.match(/[A-F0-9]{2}/);
+    if (!match) {
+        return null;
+    }
+
+    // With the whitespace gone, the text lines up with the recognized symbols
+    const symbols = (data.symbols || []).filter(symbol => symbol.text.trim().length > 0);
+    const confidences = symbols.slice(match.index, match.index + 2).map(symbol => symbol.confidence);
+    const confidence = confidences.length === 2 ? Math.min(...confidences) : data.confidence;
+
+    return {code: match[0], confidence: confidence / 100};
+}
+
+/**
+ * Crop a cell, scale it and binarize it to black glyphs on white, which Tesseract reads best.
+ * Scaling first keeps the glyph edges smooth.
+ * @param {Jimp} image - Image the cell is in
+ * @param {Object} cell - Cell box as {x, y, width, height}
+ * @param {number} scale - Scale factor
+ * @returns {Jimp} The binarized cell
+ */
+function binarizeCell(image, cell, scale) {
+    const cellImage = image.clone()
+        .crop(cell.x, cell.y, cell.width, cell.height)
+        .scale(scale, Jimp.RESIZE_BILINEAR);
+
+    cellImage.scan(0, 0, cellImage.bitmap.width, cellImage.bitmap.height, function (x, y, idx) {
+        const data = this.bitmap.data;
+        const value = Math.max(data[idx], data[idx + 1], data[idx + 2]) >= GLYPH_BRIGHTNESS ? 0 : 255;
+        data[idx] = data[idx + 1] = data[idx + 2] = value;
+    });
+
+    return cellImage;
+}
+
+/**
+ * Crop a cell to the bounding box of its glyph pixels and resize it to the template size,
+ * so matching doesn't depend on resolution or where the code sits in the cell
+ * @param {Jimp} image - Image the cell is in
+ * @param {Object} cell - Cell box as {x, y, width, height}
+ * @returns {Float32Array|null} Brightness from 0 to 1 per template pixel, or null if the cell is empty
+ */
+function normalizeGlyph(image, cell) {
+    const {data, width} = image.bitmap;
+    let left = Infinity;
+    let right = -1;
+    let top = Infinity;
+    let bottom = -1;
+
+    for (let y = cell.y; y < cell.y + cell.height; y++) {
+        for (let x = cell.x; x < cell.x + cell.width; x++) {
+            const idx = (y * width + x) * 4;
+            if (Math.max(data[idx], data[idx + 1], data[idx + 2]) >= GLYPH_BRIGHTNESS) {
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y);
+            }
+        }
+    }
+    if (right < 0) {
+        return null;
+    }
+
+    const glyph = image.clone()
+        .crop(left, top, right - left + 1, bottom - top + 1)
+        .resize(TEMPLATE_WIDTH, TEMPLATE_HEIGHT, Jimp.RESIZE_BILINEAR);
+
+    const values = new Float32Array(TEMPLATE_WIDTH * TEMPLATE_HEIGHT);
+    glyph.scan(0, 0, TEMPLATE_WIDTH, TEMPLATE_HEIGHT, function (x, y, idx) {
+        const d = this.bitmap.data;
+        values[y * TEMPLATE_WIDTH + x] = Math.max(d[idx], d[idx + 1], d[idx + 2]) / 255;
+    });
+
+    return values;
+}
+
+/**
+ * Shift to zero mean and scale to unit length, so a dot product gives the normalized correlation
+ * @param {Float32Array} values - Pixel values
+ * @returns {Float32Array} Standardized values
+ */
+function standardize(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const centred = values.map(value => value - mean);
+    const norm = Math.sqrt(centred.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return centred.map(value => value / norm);
+}
+
+module.exports = {
+    TesseractRecognizer,
+    TemplateRecognizer,
+    createRecognizer,
+    normalizeGlyph,
+    CODE_VALUES,
+    UNKNOWN_CODE,
+    OCR_ENGINES,
+    CODE_CHARACTERS,
+    GLYPH_BRIGHTNESS,
+    TEMPLATE_WIDTH,
+    TEMPLATE_HEIGHT,
+    TEMPLATE_DIR
+};
@@ -1,8 +1,17 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const {processBreachProtocolImage} = require('./BreachProtocolOCRupdatedAgain');
-const {solveBreachProtocol} = require('./BreachProtocol');
+const {processBreachProtocolImage, findUnknownCodes, findSolvableDaemons, cleanMatrix, daemonWeights, UNKNOWN_CODE} = require('./BreachProtocolOCRupdatedAgain');
+const {BreachProtocol, analyzePuzzle} = require('./BreachProtocol');
+const {OCR_ENGINES} = require('./codeRecognizers');
+const {OcrPool} = require('./OcrPool');
+const {writeSolutionOverlay} = require('./solutionOverlay');
+
+// Below this the counted buffer size is printed with a warning to check it
+const MIN_BUFFER_CONFIDENCE = 0.8;
+
+// Files picked up from a folder in batch mode
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp'];
 
 // Process command line arguments
 const args = process.argv.slice(2);
@@ -13,15 +22,29 @@ if (args.length === 0) {
     console.log('--------------------------------------');
     console.log('Usage:');
     console.log('  node cyberpunk-ocr-cli.js <image_path> [options]');
+    console.log('  node cyberpunk-ocr-cli.js <folder> [--solve] [--out results.jsonl] [--concurrency <n>]');
     console.log('');
     console.log('Options:');
     console.log('  --save-json <file>  Save extracted data to a JSON file');
-    console.log('  --debug             Save debug images during processing');
+    console.log('  --debug             Save debug images and an annotated screenshot to ./debug');
+    console.log('  --debug-dir <dir>   Like --debug, saving to <dir>, a new subdirectory per screenshot');
     console.log('  --solve             Automatically solve the breach protocol');
-    console.log('  --buffer <size>     Override detected buffer size (default: auto-detect)');
+    console.log('  --overlay <file>    Solve and save the screenshot with the solution drawn on it, e.g. out.png');
+    console.log('  --buffer <size>     Override the buffer size counted from the screenshot\'s buffer slots');
+    console.log('  --alternatives <n>  With --solve, also list up to n ranked alternative solutions');
+    console.log('  --selected <cells>  With --solve, continue from cells already picked in-game, e.g. "1,3;4,3" (row,col from 1)');
+    console.log('  --axis <row|col>    With --selected, the line the next code is picked from (checked against --selected)');
+    console.log('  --time-budget <ms>  With --solve, stop searching after this long and show the best found (default: 10000)');
+    console.log('  --analyze           Show which daemons can be uploaded together, the buffer each needs and the difficulty');
+    console.log('  --ocr-engine <name> How codes are read: tesseract (default) or template (offline, no language data)');
+    console.log('  --layout <profile>  Screen layout profile: 16:9, 16:10, 21:9, 32:9 or a JSON profile file (default: by aspect ratio)');
+    console.log('  --allow-guess       Solve or analyze even when some codes could not be read, planning around unknown matrix codes');
+    console.log('  --out <file>        In batch mode, the JSON Lines file to write a result per screenshot to (default: results.jsonl)');
+    console.log('  --concurrency <n>   In batch mode, how many screenshots to process at once (default: CPU count - 1)');
     console.log('');
     console.log('Example:');
     console.log('  node cyberpunk-ocr-cli.js screenshot.png --solve');
+    console.log('  node cyberpunk-ocr-cli.js screenshots/ --solve --out results.jsonl');
     process.exit(0);
 }
 
@@ -30,12 +53,58 @@ const imagePath = args[0];
 const saveJsonPath = args.indexOf('--save-json') !== -1
     ? args[args.indexOf('--save-json') + 1]
     : null;
-const debug = args.includes('--debug');
-const solve = args.includes('--solve');
+const debugDirIndex = args.indexOf('--debug-dir');
+const debugDir = debugDirIndex !== -1
+    ? args[debugDirIndex + 1]
+    : (args.includes('--debug') ? 'debug' : undefined);
+const overlayIndex = args.indexOf('--overlay');
+const overlayPath = overlayIndex !== -1
+    ? args[overlayIndex + 1]
+    : null;
+const solve = args.includes('--solve') || overlayPath !== null;
+const analyze = args.includes('--analyze');
+const allowGuess = args.includes('--allow-guess');
 const bufferSizeIndex = args.indexOf('--buffer');
 const manualBufferSize = bufferSizeIndex !== -1
     ? parseInt(args[bufferSizeIndex + 1])
     : null;
+const alternativesIndex = args.indexOf('--alternatives');
+const alternativesLimit = alternativesIndex !== -1
+    ? parseInt(args[alternativesIndex + 1])
+    : null;
+const selectedIndex = args.indexOf('--selected');
+const selectedCells = selectedIndex !== -1
+    ? parseSelectedCells(args[selectedIndex + 1])
+    : [];
+const timeBudgetIndex = args.indexOf('--time-budget');
+const timeBudgetMs = timeBudgetIndex !== -1
+    ? parseInt(args[timeBudgetIndex + 1])
+    : 10000;
+const ocrEngineIndex = args.indexOf('--ocr-engine');
+const ocrEngine = ocrEngineIndex !== -1
+    ? args[ocrEngineIndex + 1]
+    : 'tesseract';
+const layoutIndex = args.indexOf('--layout');
+const layout = layoutIndex !== -1
+    ? args[layoutIndex + 1]
+    : undefined;
+const outIndex = args.indexOf('--out');
+const outPath = outIndex !== -1
+    ? args[outIndex + 1]
+    : 'results.jsonl';
+const concurrencyIndex = args.indexOf('--concurrency');
+const concurrency = concurrencyIndex !== -1
+    ? parseInt(args[concurrencyIndex + 1])
+    : undefined;
+const axisIndex = args.indexOf('--axis');
+const nextAxis = axisIndex !== -1
+    ? args[axisIndex + 1]
+    : undefined;
+
+if (!OCR_ENGINES.includes(ocrEngine)) {
+    console.error(`Error: Unknown OCR engine: ${ocrEngine}, expected one of ${OCR_ENGINES.join(', ')}`);
+    process.exit(1);
+}
 
 // Check if the image file exists
 if (!fs.existsSync(imagePath)) {
@@ -43,6 +112,19 @@ if (!fs.existsSync(imagePath)) {
     process.exit(1);
 }
 
+if (concurrency !== undefined && !(concurrency > 0)) {
+    console.error('Error: --concurrency must be a positive number');
+    process.exit(1);
+}
+
+// A folder of screenshots is processed in batch mode
+const isBatch = fs.statSync(imagePath).isDirectory();
+
+if (isBatch && overlayPath !== null) {
+    console.error('Error: --overlay draws on a single screenshot, not a folder');
+    process.exit(1);
+}
+
 /**
  * Process the breach protocol image and solve it if requested
  */
@@ -51,7 +133,7 @@ async function processAndSolve() {
 
     try {
         // Process the image with OCR
-        let result = await processBreachProtocolImage(imagePath);
+        let result = await processBreachProtocolImage(imagePath, {engine: ocrEngine, layout, debugDir});
 
         // Override buffer size if provided
         if (manualBufferSize !== null) {
@@ -62,53 +144,141 @@ async function processAndSolve() {
 
         console.log("-- Code Matrix JSON version (before Cleanup) ---");
         console.log(JSON.stringify(result.codeMatrix));
-        // Clean up the matrix (remove incomplete rows, etc.)
-        result.codeMatrix = cleanMatrix(result.codeMatrix);
-
-        // Filter out empty or invalid sequences
-        result.requiredSequences = result.requiredSequences.filter(seq =>
-            seq && seq.length > 0 && !seq.includes('??')
-        );
 
-        // Print the extracted data
+        // Print the extracted data, highlighting the codes that couldn't be read
         console.log('\n=== Extracted Data ===');
         console.log('Code Matrix:');
-        result.codeMatrix.forEach(row => console.log(row.join(' ')));
+        result.codeMatrix.forEach(row => console.log(row.map(highlightUnknown).join(' ')));
 
 
-        console.log('\nRequired Sequences:');
-        result.requiredSequences.forEach((seq, index) => {
-            console.log(`${index + 1}: ${seq.join(' ')}`);
+        console.log('\nDaemons:');
+        result.daemons.forEach((daemon, index) => {
+            const tier = daemon.tier ? `, ${daemon.tier}` : '';
+            console.log(`${index + 1}: ${daemon.codes.map(highlightUnknown).join(' ')}  ${daemon.name || 'Unnamed daemon'} (${daemon.status}${tier})`);
         });
 
-        console.log(`\nBuffer Size: ${result.bufferSize}`);
+        // The buffer size is counted from the slot boxes, --buffer is only needed if that went wrong
+        if (manualBufferSize !== null) {
+            console.log(`\nBuffer Size: ${result.bufferSize} (from --buffer)`);
+        } else if (result.confidence.bufferSize > 0) {
+            console.log(`\nBuffer Size: ${result.bufferSize} (counted from the buffer slots, confidence ${Math.round(result.confidence.bufferSize * 100)}%)`);
+            if (result.confidence.bufferSize < MIN_BUFFER_CONFIDENCE) {
+                console.warn('Warning: the buffer slots were hard to make out, check the buffer size and pass --buffer if it is wrong');
+            }
+        } else {
+            console.log(`\nBuffer Size: ${result.bufferSize} (buffer slots not found, assumed)`);
+            console.warn('Warning: could not count the buffer slots, pass --buffer with the number of slots shown in-game');
+        }
+
+        const unknown = findUnknownCodes(result);
+        if (unknown.cells.length > 0 || unknown.sequences.length > 0) {
+            console.log('\nCodes that could not be read confidently:');
+            unknown.cells.forEach(cell => {
+                console.log(`- Matrix row ${cell.row + 1}, column ${cell.col + 1} (confidence ${Math.round(cell.confidence * 100)}%)`);
+            });
+            unknown.sequences.forEach(code => {
+                console.log(`- Sequence ${code.sequence + 1}, code ${code.position + 1} (sequence confidence ${Math.round(code.confidence * 100)}%)`);
+            });
+        }
 
-        // Save to JSON if requested
+        // Save to JSON if requested, as extracted and with the confidences
         if (saveJsonPath) {
             fs.writeFileSync(saveJsonPath, JSON.stringify(result, null, 2));
             console.log(`\nExtracted data saved to: ${saveJsonPath}`);
         }
 
+        if (!solve && !analyze) {
+            return;
+        }
+
+        // Solving on codes nobody could read would give a confident-looking but wrong answer
+        const unknownCount = unknown.cells.length + unknown.sequences.length;
+        if (unknownCount > 0) {
+            if (!allowGuess) {
+                console.error(`\nError: ${unknownCount} code${unknownCount === 1 ? '' : 's'} could not be read confidently. Check them against the screenshot, or pass --allow-guess to go ahead without them.`);
+                process.exit(1);
+            }
+            console.warn('\nWarning: going ahead with unknown codes (--allow-guess), sequences with unknown codes are left out');
+        }
+
+        // Clean up the matrix (remove incomplete rows, etc.), unknown codes are left for the solver to plan around
+        result.codeMatrix = cleanMatrix(result.codeMatrix);
+
+        // Only solve for the daemons still to be uploaded, weighing them by their tiers
+        const daemons = findSolvableDaemons(result.daemons);
+        const skipped = result.daemons.length - daemons.length;
+        if (skipped > 0) {
+            console.log(`\nLeaving out ${skipped} daemon${skipped === 1 ? '' : 's'} that ${skipped === 1 ? 'is' : 'are'} already installed, failed or unreadable`);
+        }
+        result.requiredSequences = daemons.map(daemon => daemon.codes);
+        const weights = daemonWeights(daemons);
+
+        // Analyze the puzzle if requested
+        if (analyze) {
+            console.log('\n=== Puzzle Analysis ===');
+            const analysis = analyzePuzzle(result.codeMatrix, result.requiredSequences, result.bufferSize, {weights, timeBudgetMs});
+            printAnalysis(analysis);
+        }
+
         // Solve the breach protocol if requested
         if (solve) {
             console.log('\n=== Solving Breach Protocol ===');
 
-            const solution = solveBreachProtocol(
-                result.codeMatrix,
-                result.requiredSequences,
-                result.bufferSize
-            );
+            const solver = new BreachProtocol(result.codeMatrix, result.requiredSequences, result.bufferSize, {
+                selected: selectedCells,
+                axis: nextAxis,
+                weights,
+                timeBudgetMs
+            });
+            const solutions = solver.solveAll(alternativesLimit === null ? 1 : alternativesLimit);
+            // With nothing to upload, solve() still gives the full shape of a solution, for the buffer already entered
+            const solution = solutions[0] || solver.solve();
 
             // Display the solution
             console.log('\nSolution path:');
             solution.path.forEach((pos, index) => {
-                console.log(`${index + 1}: ${result.codeMatrix[pos.row][pos.col]} at [Row ${pos.row + 1}, Col ${pos.col + 1}]`);
+                const note = index < solution.alreadySelected ? ' (already selected)' : pos.assumed ? ` (assumed ${pos.value})` : '';
+                console.log(`${index + 1}: ${result.codeMatrix[pos.row][pos.col]} at [Row ${pos.row + 1}, Col ${pos.col + 1}]${note}`);
             });
 
             console.log(`\nCompleted ${solution.completedSequences.length} of ${result.requiredSequences.length} sequences`);
             solution.completedSequences.forEach(seqIndex => {
-                console.log(`- Sequence ${seqIndex + 1}: ${result.requiredSequences[seqIndex].join(' ')}`);
+                console.log(`- Sequence ${seqIndex + 1}: ${result.requiredSequences[seqIndex].join(' ')}${daemons[seqIndex].name ? ` (${daemons[seqIndex].name})` : ''}`);
             });
+            console.log(`Score: ${solution.score.total} of ${solution.score.maximum}, using ${solution.score.bufferUsed} of ${result.bufferSize} buffer slots`);
+            if (!solution.optimal) {
+                console.log(`Search stopped after ${timeBudgetMs}ms, this is the best solution found but may not be optimal`);
+            }
+
+            // The solver avoids unknown codes where it can, otherwise say which ones have to be right
+            if (solution.assumptions.length > 0) {
+                console.log('\nThis path relies on codes that could not be read:');
+                solution.assumptions.forEach(assumption => {
+                    console.log(`- Row ${assumption.row + 1}, Col ${assumption.col + 1} must be ${assumption.code}`);
+                });
+            } else if (unknown.cells.length > 0) {
+                console.log('\nThis path does not rely on any of the codes that could not be read');
+            }
+
+            if (overlayPath) {
+                const daemonIndexes = daemons.map(daemon => result.daemons.indexOf(daemon));
+                await writeSolutionOverlay(imagePath, result.boxes, solution, overlayPath, {daemonIndexes});
+                console.log(`\nSolution drawn onto the screenshot: ${overlayPath}`);
+            }
+
+            // List the runners-up, in case the best path is awkward to follow in-game
+            if (solutions.length > 1) {
+                console.log('\nAlternative solutions:');
+                solutions.slice(1).forEach((alternative, index) => {
+                    const steps = alternative.path
+                        .map(pos => `${pos.value} [${pos.row + 1},${pos.col + 1}]`)
+                        .join(' -> ');
+                    const assumed = alternative.assumptions.length > 0
+                        ? `; assumes ${alternative.assumptions.map(a => `${a.code} at [${a.row + 1},${a.col + 1}]`).join(', ')}`
+                        : '';
+                    console.log(`${index + 2}: ${steps} (sequences ${alternative.completedSequences.map(i => i + 1).join(', ')}; score ${alternative.score.total}${assumed})`);
+                });
+            }
         }
     } catch (error) {
         console.error('Error:', error.message);
@@ -117,44 +287,141 @@ async function processAndSolve() {
 }
 
 /**
- * Clean up the matrix to ensure it's square and has valid values
- * @param {Array} matrix - The extracted code matrix
- * @returns {Array} Cleaned matrix
+ * Process every screenshot in the folder on a pool of OCR workers, writing a JSON line per screenshot to the
+ * --out file as each finishes: the extracted data and, with --solve, the solution, or the error it failed with
  */
-function cleanMatrix(matrix) {
-    // Filter out rows with unknown values
-    const filteredMatrix = matrix.filter(row => !row.includes('??'));
+async function processBatch() {
+    const files = fs.readdirSync(imagePath)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(imagePath, file));
+    if (files.length === 0) {
+        console.error(`Error: No screenshots found in ${imagePath}, expected ${IMAGE_EXTENSIONS.join(', ')} files`);
+        process.exit(1);
+    }
+
+    const pool = new OcrPool({size: concurrency, maxQueue: files.length, ocrOptions: {engine: ocrEngine, layout, debugDir}});
+    const out = fs.createWriteStream(outPath);
+    console.log(`Processing ${files.length} screenshots from ${imagePath}, ${pool.size} at a time`);
 
-    // Determine the most common row length
-    const rowLengths = filteredMatrix.map(row => row.length);
-    const mostCommonLength = findMostCommon(rowLengths);
+    let failed = 0;
+    await Promise.all(files.map(async file => {
+        let line;
+        try {
+            line = await processBatchImage(pool, file);
+        } catch (error) {
+            failed++;
+            line = {image: file, ok: false, error: error.message};
+        }
+        out.write(JSON.stringify(line) + '\n');
+        console.log(line.ok ? `Done: ${file}` : `Failed: ${file} (${line.error})`);
+    }));
+
+    await pool.close();
+    await new Promise(resolve => out.end(resolve));
+    console.log(`\nWrote ${files.length} results to ${outPath}, ${failed} failed`);
+}
+
+/**
+ * Extract the data from one screenshot of a batch, and solve it if asked to
+ * @param {OcrPool} pool - OCR pool to process the screenshot on
+ * @param {string} file - Path to the screenshot
+ * @returns {Promise<Object>} The result line: {image, ok, codeMatrix, daemons, bufferSize, confidence, unknown},
+ *   with --solve the solution, or solveError if there was nothing it could safely solve
+ */
+async function processBatchImage(pool, file) {
+    const result = await pool.process(file);
+    if (manualBufferSize !== null) {
+        result.bufferSize = manualBufferSize;
+    }
 
-    // Keep only rows with the most common length
-    const cleanedMatrix = filteredMatrix.filter(row => row.length === mostCommonLength);
+    const unknown = findUnknownCodes(result);
+    const line = {
+        image: file,
+        ok: true,
+        codeMatrix: result.codeMatrix,
+        daemons: result.daemons,
+        bufferSize: result.bufferSize,
+        confidence: result.confidence,
+        unknown
+    };
+    if (!solve) {
+        return line;
+    }
 
-    // Ensure we have a reasonable number of rows
-    if (cleanedMatrix.length < 3) {
-        console.warn('Warning: Very few valid rows detected in the matrix. OCR might not be accurate.');
+    // As for a single screenshot, don't solve on codes that couldn't be read unless asked to guess
+    const unknownCount = unknown.cells.length + unknown.sequences.length;
+    const daemons = findSolvableDaemons(result.daemons);
+    if (unknownCount > 0 && !allowGuess) {
+        line.solveError = `${unknownCount} code(s) could not be read confidently, check them or pass --allow-guess`;
+    } else if (daemons.length === 0) {
+        line.solveError = 'No daemons left to upload';
+    } else {
+        const solver = new BreachProtocol(cleanMatrix(result.codeMatrix), daemons.map(daemon => daemon.codes), result.bufferSize, {
+            weights: daemonWeights(daemons),
+            timeBudgetMs
+        });
+        line.solution = solver.solve();
     }
 
-    return cleanedMatrix;
+    return line;
 }
 
 /**
- * Find the most common value in an array
- * @param {Array} arr - Input array
- * @returns {*} Most common value
+ * Print a puzzle analysis as a table of daemon sets, followed by the winning paths and difficulty
+ * @param {Object} analysis - Result of analyzePuzzle
  */
-function findMostCommon(arr) {
-    const counts = {};
-    arr.forEach(value => {
-        counts[value] = (counts[value] || 0) + 1;
+function printAnalysis(analysis) {
+    const rows = analysis.subsets.map(subset => [
+        subset.sequences.map(i => i + 1).join(', '),
+        subset.achievable ? 'yes' : 'no',
+        subset.achievable ? String(subset.minBuffer) : '-'
+    ]);
+    const header = ['Sequences', 'Achievable', 'Min buffer'];
+    const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+    const formatRow = row => row.map((cell, col) => cell.padEnd(widths[col])).join(' | ').trimEnd();
+
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('-+-'));
+    rows.forEach(row => console.log(formatRow(row)));
+
+    // An incomplete analysis has only counted the paths it got through
+    const atLeast = analysis.complete ? '' : 'at least ';
+    console.log(`\nBest score: ${analysis.bestScore} of ${analysis.maximumScore}, reached by ${atLeast}${analysis.winningPaths} distinct path${analysis.winningPaths === 1 ? '' : 's'}`);
+    console.log(`Difficulty: ${analysis.difficulty.rating}`);
+    if (!analysis.complete) {
+        console.log(`Analysis stopped after ${timeBudgetMs}ms, some daemon sets may need less buffer than shown`);
+    }
+}
+
+/**
+ * Parse the --selected argument into solver cells
+ * @param {string} value - Semicolon separated "row,col" pairs, counting from 1 as the solution output does
+ * @returns {Array} Cells as {row, col}, counting from 0
+ */
+function parseSelectedCells(value) {
+    if (!value) {
+        return [];
+    }
+
+    return value.split(';').map(pair => {
+        const [row, col] = pair.split(',').map(part => parseInt(part.trim()));
+        if (isNaN(row) || isNaN(col)) {
+            console.error(`Error: Invalid selected cell "${pair}", expected row,col`);
+            process.exit(1);
+        }
+        return {row: row - 1, col: col - 1};
     });
+}
 
-    return Object.entries(counts)
-        .sort((a, b) => b[1] - a[1])
-        [0][0];
+/**
+ * Show unknown codes in reverse video when printing to a terminal, so they stand out in the matrix
+ * @param {string} code - A code value
+ * @returns {string} The code, highlighted if it is unknown
+ */
+function highlightUnknown(code) {
+    return code === UNKNOWN_CODE && process.stdout.isTTY ? `\x1b[7m${code}\x1b[0m` : code;
 }
 
 // Run the main function
-processAndSolve().catch(console.error);
\ No newline at end of file
+(isBatch ? processBatch() : processAndSolve()).catch(console.error);
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Screen layout profiles for BreachProtocolOCR: where the breach protocol regions are for an aspect ratio,
+// for when they can't be found from the image itself
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUT_DIR = path.join(__dirname, 'layouts');
+
+/**
+ * Regions every profile has to give, as {x, y, width, height} in reference pixels
+ */
+const LAYOUT_REGIONS = ['matrix', 'sequences', 'buffer'];
+
+/**
+ * Check a profile has everything scaleLayout needs
+ * @param {Object} profile - Layout profile
+ * @param {string} source - Where the profile came from, for the error message
+ * @returns {Object} The profile
+ */
+function validateLayoutProfile(profile, source) {
+    if (!profile || typeof profile !== 'object') {
+        throw new Error(`Invalid layout profile ${source}: expected an object`);
+    }
+    if (typeof profile.name !== 'string' || profile.name.length === 0) {
+        throw new Error(`Invalid layout profile ${source}: missing name`);
+    }
+    if (!(profile.referenceWidth > 0) || !(profile.referenceHeight > 0)) {
+        throw new Error(`Invalid layout profile ${source}: referenceWidth and referenceHeight must be positive numbers`);
+    }
+
+    LAYOUT_REGIONS.forEach(name => {
+        const region = profile.regions && profile.regions[name];
+        const isValid = region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]))
+            && region.width > 0 && region.height > 0;
+        if (!isValid) {
+            throw new Error(`Invalid layout profile ${source}: regions.${name} must be {x, y, width, height} with a positive size`);
+        }
+    });
+
+    return profile;
+}
+
+/**
+ * Load a layout profile from a JSON file
+ * @param {string} file - Path to the profile
+ * @returns {Object} The profile
+ */
+function loadLayoutProfile(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Layout profile does not exist: ${file}`);
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse layout profile ${file}: ${error.message}`);
+    }
+    return validateLayoutProfile(profile, file);
+}
+
+/**
+ * Load every layout profile in a directory, one JSON file per profile
+ * @param {string} [dir] - Directory holding the profiles
+ * @returns {Array} The profiles
+ */
+function loadLayoutProfiles(dir = LAYOUT_DIR) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+    if (files.length === 0) {
+        throw new Error(`No layout profiles found in ${dir}`);
+    }
+    return files.map(file => loadLayoutProfile(path.join(dir, file)));
+}
+
+/**
+ * Pick the profile whose aspect ratio is closest to the image's
+ * @param {Array} profiles - Layout profiles
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} The closest profile
+ */
+function selectLayoutProfile(profiles, width, height) {
+    // Compare ratios on a log scale, so 16:10 is as far from 16:9 whichever way round
+    const distance = profile => Math.abs(Math.log((width / height) / (profile.referenceWidth / profile.referenceHeight)));
+    return profiles.reduce((best, profile) => distance(profile) < distance(best) ? profile : best);
+}
+
+/**
+ * Scale a profile to an image. The game scales its HUD evenly to fit the screen and centres it,
+ * so the profile is scaled by whichever side is the tighter fit and centred on the other.
+ * @param {Object} profile - Layout profile
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} {name, scale, regions}, regions being {x, y, width, height} in image pixels, clipped to the image
+ */
+function scaleLayout(profile, width, height) {
+    const scale = Math.min(width / profile.referenceWidth, height / profile.referenceHeight);
+    const offsetX = (width - profile.referenceWidth * scale) / 2;
+    const offsetY = (height - profile.referenceHeight * scale) / 2;
+
+    const regions = {};
+    Object.entries(profile.regions).forEach(([name, region]) => {
+        const x = Math.min(width - 1, Math.max(0, Math.round(offsetX + region.x * scale)));
+        const y = Math.min(height - 1, Math.max(0, Math.round(offsetY + region.y * scale)));
+        regions[name] = {
+            x,
+            y,
+            width: Math.max(1, Math.min(width, Math.round(offsetX + (region.x + region.width) * scale)) - x),
+            height: Math.max(1, Math.min(height, Math.round(offsetY + (region.y + region.height) * scale)) - y)
+        };
+    });
+
+    return {name: profile.name, scale, regions};
+}
+
+module.exports = {
+    loadLayoutProfile,
+    loadLayoutProfiles,
+    selectLayoutProfile,
+    scaleLayout,
+    validateLayoutProfile,
+    LAYOUT_DIR,
+    LAYOUT_REGIONS
+};
@@ -0,0 +1,668 @@
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM elements
+  const matrixSizeSelect = document.getElementById('matrix-size');
+  const bufferSizeInput = document.getElementById('buffer-size');
+  const sequenceCountInput = document.getElementById('sequence-count');
+  const allowGuessInput = document.getElementById('allow-guess');
+  const updateConfigButton = document.getElementById('update-config');
+  const matrixContainer = document.getElementById('matrix-container');
+  const sequencesContainer = document.getElementById('sequences-container');
+  const solveButton = document.getElementById('solve-button');
+  const solutionContainer = document.getElementById('solution-container');
+  const analysisContainer = document.getElementById('analysis-container');
+  const errorContainer = document.getElementById('error-container');
+  const successContainer = document.getElementById('success-container');
+  const dropZone = document.getElementById('drop-zone');
+  const screenshotInput = document.getElementById('screenshot-input');
+  const screenshotPanel = document.getElementById('screenshot-panel');
+  const screenshotPreview = document.getElementById('screenshot-preview');
+  const reviewHint = document.getElementById('review-hint');
+
+  // Initial configuration
+  let matrixSize = parseInt(matrixSizeSelect.value);
+  let bufferSize = parseInt(bufferSizeInput.value);
+  let sequenceCount = parseInt(sequenceCountInput.value);
+  let rowCount = matrixSize;
+  let colCount = matrixSize;
+
+  // Name, tier and status of each sequence's daemon, when read from a screenshot
+  let daemons = [];
+
+  // Common code values for the game
+  const commonCodeValues = ['1C', '7A', '55', 'FF', 'BD', 'E9'];
+
+  // Codes OCR couldn't read confidently come through as this
+  const unknownCode = '??';
+
+  // Codes read with less confidence than this (0 to 1) are highlighted for review
+  const lowConfidence = 0.8;
+
+  // Time between steps when playing a solution back
+  const playbackIntervalMs = 1200;
+  let playbackTimer = null;
+
+  // Initialize
+  updateMatrix();
+  updateSequences();
+
+  // Event listeners
+  updateConfigButton.addEventListener('click', () => {
+    matrixSize = parseInt(matrixSizeSelect.value);
+    bufferSize = parseInt(bufferSizeInput.value);
+    sequenceCount = parseInt(sequenceCountInput.value);
+    rowCount = matrixSize;
+    colCount = matrixSize;
+    daemons = [];
+
+    updateMatrix();
+    updateSequences();
+    clearSolution();
+    clearMessages();
+  });
+
+  solveButton.addEventListener('click', solveBreach);
+
+  // A screenshot can be picked, dropped onto the drop zone or pasted anywhere on the page
+  screenshotInput.addEventListener('change', () => {
+    if (screenshotInput.files.length > 0) {
+      uploadScreenshot(screenshotInput.files[0]);
+    }
+  });
+
+  dropZone.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropZone.classList.add('dragging');
+  });
+
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+
+  dropZone.addEventListener('drop', event => {
+    event.preventDefault();
+    dropZone.classList.remove('dragging');
+    const file = Array.from(event.dataTransfer.files).find(file => file.type.startsWith('image/'));
+    if (file) {
+      uploadScreenshot(file);
+    } else {
+      errorContainer.textContent = 'Error: Drop an image file';
+    }
+  });
+
+  document.addEventListener('paste', event => {
+    const item = Array.from(event.clipboardData.items).find(item => item.type.startsWith('image/'));
+    if (item) {
+      event.preventDefault();
+      uploadScreenshot(item.getAsFile());
+    }
+  });
+
+  // Functions
+
+  // Fill the matrix with the codes read from a screenshot, or random codes for manual entry
+  function updateMatrix(codeMatrix = null, confidence = null) {
+    matrixContainer.innerHTML = '';
+
+    for (let i = 0; i < rowCount; i++) {
+      const row = document.createElement('div');
+      row.className = 'matrix-row';
+
+      for (let j = 0; j < colCount; j++) {
+        const cell = document.createElement('div');
+        cell.className = 'cell input-cell';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 2;
+        input.className = 'code-input';
+        input.dataset.row = i;
+        input.dataset.col = j;
+        input.value = codeMatrix ? codeMatrix[i][j] : getRandomCodeValue();
+        input.addEventListener('input', () => markUncertain(input));
+
+        cell.appendChild(input);
+        row.appendChild(cell);
+        markUncertain(input);
+        cell.classList.toggle('low-confidence', isLowConfidence(input.value, confidence && confidence[i][j]));
+      }
+
+      matrixContainer.appendChild(row);
+    }
+  }
+
+  // Fill the sequences with the daemons read from a screenshot, or random codes for manual entry.
+  // Daemons already installed, failed or greyed out are left out of the solve unless ticked.
+  function updateSequences(sequences = null, confidence = null) {
+    sequencesContainer.innerHTML = '';
+
+    for (let i = 0; i < sequenceCount; i++) {
+      const sequenceDiv = document.createElement('div');
+      sequenceDiv.className = 'sequence';
+      sequenceDiv.id = `sequence-${i}`;
+
+      const include = document.createElement('input');
+      include.type = 'checkbox';
+      include.className = 'sequence-include';
+      include.dataset.sequence = i;
+      include.checked = !daemons[i] || daemons[i].status === 'pending';
+      include.title = 'Include this sequence in the solve';
+      include.addEventListener('change', () => sequenceDiv.classList.toggle('excluded', !include.checked));
+      sequenceDiv.classList.toggle('excluded', !include.checked);
+      sequenceDiv.appendChild(include);
+
+      // Determine sequence length (2-4)
+      const sequenceLength = sequences ? sequences[i].length : Math.floor(Math.random() * 3) + 2; // 2 to 4
+
+      for (let j = 0; j < sequenceLength; j++) {
+        const sequenceItem = document.createElement('div');
+        sequenceItem.className = 'sequence-item';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 2;
+        input.className = 'sequence-input';
+        input.dataset.sequence = i;
+        input.dataset.position = j;
+        input.value = sequences ? sequences[i][j] : getRandomCodeValue();
+        input.addEventListener('input', () => markUncertain(input));
+
+        sequenceItem.appendChild(input);
+        sequenceDiv.appendChild(sequenceItem);
+        markUncertain(input);
+        // OCR gives the confidence of a sequence's least certain code, so the whole sequence is highlighted
+        sequenceItem.classList.toggle('low-confidence', isLowConfidence(input.value, confidence && confidence[i]));
+      }
+
+      if (daemons[i]) {
+        const label = document.createElement('span');
+        label.className = 'sequence-label';
+        label.textContent = `${daemons[i].name || 'Unnamed daemon'} (${[daemons[i].tier, daemons[i].status].filter(Boolean).join(', ')})`;
+        sequenceDiv.appendChild(label);
+      }
+
+      sequencesContainer.appendChild(sequenceDiv);
+    }
+  }
+
+  function getRandomCodeValue() {
+    return commonCodeValues[Math.floor(Math.random() * commonCodeValues.length)];
+  }
+
+  function isLowConfidence(value, confidence) {
+    return typeof confidence === 'number' && value !== unknownCode && confidence < lowConfidence;
+  }
+
+  // Highlight an input holding an unknown code until it's corrected.
+  // Editing a low confidence code counts as reviewing it.
+  function markUncertain(input) {
+    input.parentElement.classList.toggle('uncertain', input.value.trim() === unknownCode);
+    input.parentElement.classList.remove('low-confidence');
+  }
+
+  // Read a screenshot on the server and put what was read up for review next to it
+  function uploadScreenshot(file) {
+    clearMessages();
+    clearSolution();
+
+    screenshotPreview.src = URL.createObjectURL(file);
+    screenshotPanel.hidden = false;
+    successContainer.textContent = 'Reading the screenshot...';
+
+    // Pasted images may come without a file name, which the server checks the type by
+    const formData = new FormData();
+    formData.append('screenshot', file, file.name || 'pasted.png');
+
+    fetch('/upload-image', {
+      method: 'POST',
+      body: formData
+    })
+    .then(response => response.json())
+    .then(result => {
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      displayOcrResult(result);
+    })
+    .catch(error => {
+      successContainer.textContent = '';
+      errorContainer.textContent = `Error: ${error.message}`;
+    });
+  }
+
+  function displayOcrResult(result) {
+    rowCount = result.codeMatrix.length;
+    colCount = Math.max(...result.codeMatrix.map(row => row.length));
+    sequenceCount = result.daemons.length;
+    bufferSize = result.bufferSize;
+    daemons = result.daemons;
+
+    bufferSizeInput.value = bufferSize;
+    sequenceCountInput.value = sequenceCount;
+
+    // Short rows are padded with unknown codes, to be filled in from the screenshot
+    const codeMatrix = result.codeMatrix.map(row =>
+      [...row, ...Array(colCount - row.length).fill(unknownCode)]
+    );
+    updateMatrix(codeMatrix, result.confidence.codeMatrix);
+    updateSequences(result.daemons.map(daemon => daemon.codes), result.confidence.requiredSequences);
+
+    reviewHint.hidden = false;
+    const unknownCount = result.unknown.cells.length + result.unknown.sequences.length;
+    successContainer.textContent = unknownCount > 0
+      ? `Read a ${rowCount}x${colCount} matrix and ${sequenceCount} sequence(s). ${unknownCount} code(s) couldn't be read, fill them in from the screenshot before solving.`
+      : `Read a ${rowCount}x${colCount} matrix and ${sequenceCount} sequence(s). Check the highlighted codes, then solve.`;
+  }
+
+  function clearSolution() {
+    stopPlayback();
+    solutionContainer.innerHTML = '<p>Click "Solve Breach Protocol" to generate a solution.</p>';
+    analysisContainer.innerHTML = '';
+  }
+
+  function clearMessages() {
+    errorContainer.textContent = '';
+    successContainer.textContent = '';
+  }
+
+  function solveBreach() {
+    clearMessages();
+
+    try {
+      bufferSize = parseInt(bufferSizeInput.value);
+
+      // Gather matrix data
+      const codeMatrix = [];
+      for (let i = 0; i < rowCount; i++) {
+        const row = [];
+        for (let j = 0; j < colCount; j++) {
+          const input = document.querySelector(`.code-input[data-row="${i}"][data-col="${j}"]`);
+          const value = input.value.trim().toUpperCase();
+          if (!value) {
+            throw new Error(`Empty value at row ${i+1}, column ${j+1}`);
+          }
+          row.push(value);
+        }
+        codeMatrix.push(row);
+      }
+
+      // Gather sequence data, from the sequences ticked for the solve
+      const requiredSequences = [];
+      const sequenceIndexes = [];
+      for (let i = 0; i < sequenceCount; i++) {
+        if (!document.querySelector(`.sequence-include[data-sequence="${i}"]`).checked) {
+          continue;
+        }
+
+        const sequence = [];
+        const inputs = document.querySelectorAll(`.sequence-input[data-sequence="${i}"]`);
+        inputs.forEach(input => {
+          const value = input.value.trim().toUpperCase();
+          if (!value) {
+            throw new Error(`Empty value in sequence ${i+1}`);
+          }
+          sequence.push(value);
+        });
+        requiredSequences.push(sequence);
+        sequenceIndexes.push(i);
+      }
+
+      if (requiredSequences.length === 0) {
+        throw new Error('Tick at least one sequence to solve');
+      }
+
+      // Daemons read from a screenshot are weighed by their tier
+      const weights = daemons.length > 0
+        ? sequenceIndexes.map(i => daemons[i].tier || 'basic')
+        : undefined;
+
+      // Unknown codes have to be corrected first, unless guessing is allowed.
+      // The solver can plan around unknown matrix codes, but not unknown sequence codes.
+      const allowGuess = allowGuessInput.checked;
+      const unknownSequenceCount = requiredSequences.flat().filter(value => value === unknownCode).length;
+      const unknownCount = codeMatrix.flat().filter(value => value === unknownCode).length + unknownSequenceCount;
+      if (unknownCount > 0 && !allowGuess) {
+        throw new Error(`${unknownCount} code(s) are unknown (highlighted). Correct them or tick "Allow guesses".`);
+      }
+      if (unknownSequenceCount > 0) {
+        throw new Error(`${unknownSequenceCount} sequence code(s) are unknown (highlighted). Correct them to solve.`);
+      }
+
+      sequencesContainer.querySelectorAll('.sequence.completed').forEach(div => div.classList.remove('completed'));
+
+      // Call solver
+      fetch('/solve', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          codeMatrix,
+          requiredSequences,
+          bufferSize,
+          allowGuess,
+          weights
+        }),
+      })
+      .then(response => response.json())
+      .then(solution => {
+        if (solution.error) {
+          throw new Error(solution.error);
+        }
+        displaySolution(solution, codeMatrix, requiredSequences, sequenceIndexes);
+      })
+      .catch(error => {
+        errorContainer.textContent = `Error: ${error.message}`;
+      });
+
+      // Analyze the puzzle alongside, so the solution can be judged against what's possible
+      analysisContainer.innerHTML = '<p>Analyzing...</p>';
+      fetch('/analyze', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          codeMatrix,
+          requiredSequences,
+          bufferSize,
+          allowGuess,
+          weights
+        }),
+      })
+      .then(response => response.json())
+      .then(analysis => {
+        displayAnalysis(analysis, sequenceIndexes);
+      })
+      .catch(error => {
+        analysisContainer.innerHTML = '';
+        errorContainer.textContent = `Error: ${error.message}`;
+      });
+    } catch (error) {
+      errorContainer.textContent = `Error: ${error.message}`;
+    }
+  }
+
+  // sequenceIndexes gives the position on the page of each of the requiredSequences solved for
+  function displaySolution(solution, codeMatrix, requiredSequences, sequenceIndexes) {
+    // Clear the solution container
+    stopPlayback();
+    solutionContainer.innerHTML = '';
+
+    if (solution.path.length === 0) {
+      solutionContainer.innerHTML = '<p>No solution found that completes any sequence within the buffer limit.</p>';
+      return;
+    }
+
+    // Display success message
+    successContainer.textContent = `Found solution that completes ${solution.completedSequences.length} of ${requiredSequences.length} sequences.`;
+    if (solution.optimal === false) {
+      successContainer.textContent += ' The search hit its time limit, so a better solution may exist.';
+    }
+
+    // Create a copy of the matrix with solution path
+    const matrixDiv = document.createElement('div');
+    matrixDiv.className = 'grid-container';
+    const cells = [];
+
+    for (let i = 0; i < codeMatrix.length; i++) {
+      const row = document.createElement('div');
+      row.className = 'matrix-row';
+      cells.push([]);
+
+      for (let j = 0; j < codeMatrix[i].length; j++) {
+        const cell = document.createElement('div');
+        cell.className = 'cell';
+        cells[i].push(cell);
+        cell.textContent = codeMatrix[i][j];
+        if (codeMatrix[i][j] === unknownCode) {
+          cell.classList.add('uncertain');
+        }
+
+        // Check if this cell is in the path
+        const pathIndex = solution.path.findIndex(pos => pos.row === i && pos.col === j);
+        if (pathIndex !== -1) {
+          cell.classList.add('path');
+
+          const pathNumber = document.createElement('span');
+          pathNumber.className = 'path-number';
+          pathNumber.textContent = pathIndex + 1;
+          cell.appendChild(pathNumber);
+        }
+
+        row.appendChild(cell);
+      }
+
+      matrixDiv.appendChild(row);
+    }
+
+    solutionContainer.appendChild(matrixDiv);
+
+    // Display the solution steps
+    const stepsDiv = document.createElement('div');
+    stepsDiv.innerHTML = '<h3>Solution Steps:</h3>';
+
+    const stepsList = document.createElement('ol');
+    const stepItems = solution.path.map(pos => {
+      const step = document.createElement('li');
+      const assumed = pos.assumed ? ` (assumed to be ${pos.value})` : '';
+      step.textContent = `Select "${codeMatrix[pos.row][pos.col]}" at Row ${pos.row + 1}, Column ${pos.col + 1}${assumed}`;
+      stepsList.appendChild(step);
+      return step;
+    });
+
+    stepsDiv.appendChild(stepsList);
+
+    const playback = createPlayback(solution, codeMatrix, requiredSequences, sequenceIndexes, cells, stepItems);
+    solutionContainer.appendChild(playback);
+    solutionContainer.appendChild(stepsDiv);
+
+    // The solver avoids unknown codes where it can, otherwise list the ones that have to be right
+    if (solution.assumptions && solution.assumptions.length > 0) {
+      const assumptionsDiv = document.createElement('div');
+      assumptionsDiv.innerHTML = '<h3>Relies On Unknown Codes:</h3>';
+
+      const assumptionsList = document.createElement('ul');
+      solution.assumptions.forEach(assumption => {
+        const item = document.createElement('li');
+        item.textContent = `Row ${assumption.row + 1}, Column ${assumption.col + 1} must be ${assumption.code}`;
+        assumptionsList.appendChild(item);
+      });
+
+      assumptionsDiv.appendChild(assumptionsList);
+      solutionContainer.appendChild(assumptionsDiv);
+    }
+
+    // Display completed sequences
+    const sequencesDiv = document.createElement('div');
+    sequencesDiv.innerHTML = '<h3>Completed Sequences:</h3>';
+
+    if (solution.completedSequences.length === 0) {
+      sequencesDiv.innerHTML += '<p>No sequences completed.</p>';
+    } else {
+      const sequencesList = document.createElement('ul');
+
+      solution.completedSequences.forEach(seqIndex => {
+        const sequenceItem = document.createElement('li');
+        sequenceItem.textContent = `Sequence ${sequenceIndexes[seqIndex] + 1}: ${requiredSequences[seqIndex].join(' → ')}`;
+        sequencesList.appendChild(sequenceItem);
+
+        // Also highlight the completed sequences in the UI
+        const sequenceDiv = document.getElementById(`sequence-${sequenceIndexes[seqIndex]}`);
+        if (sequenceDiv) {
+          sequenceDiv.classList.add('completed');
+        }
+      });
+
+      sequencesDiv.appendChild(sequencesList);
+    }
+
+    solutionContainer.appendChild(sequencesDiv);
+  }
+
+  // Controls to play the solution back a step at a time: the row or column the game lets you pick from,
+  // the buffer filling up and each daemon lighting up at the step that uploads it.
+  // Starts at the last step, showing the whole path.
+  function createPlayback(solution, codeMatrix, requiredSequences, sequenceIndexes, cells, stepItems) {
+    const path = solution.path;
+    const playbackDiv = document.createElement('div');
+    playbackDiv.className = 'playback';
+
+    const controls = document.createElement('div');
+    controls.className = 'flex';
+    const backButton = document.createElement('button');
+    backButton.textContent = '◀ Back';
+    const playButton = document.createElement('button');
+    const forwardButton = document.createElement('button');
+    forwardButton.textContent = 'Forward ▶';
+    const stepLabel = document.createElement('span');
+    stepLabel.className = 'step-label';
+    [backButton, playButton, forwardButton, stepLabel].forEach(element => controls.appendChild(element));
+    playbackDiv.appendChild(controls);
+
+    // One slot per buffer space, filled in as the codes are picked
+    const bufferDiv = document.createElement('div');
+    bufferDiv.className = 'buffer';
+    const slots = [];
+    for (let i = 0; i < Math.max(bufferSize, path.length); i++) {
+      const slot = document.createElement('div');
+      slot.className = 'buffer-slot';
+      bufferDiv.appendChild(slot);
+      slots.push(slot);
+    }
+    playbackDiv.appendChild(bufferDiv);
+
+    // The step that uploads each daemon, counting from 1, or null if the path doesn't
+    const completedAt = requiredSequences.map((sequence, index) => {
+      const scored = solution.score && solution.score.sequences[index];
+      return scored ? scored.completedAt : null;
+    });
+
+    const daemonItems = requiredSequences.map((sequence, index) => {
+      const item = document.createElement('div');
+      item.className = 'playback-daemon';
+      const daemon = daemons[sequenceIndexes[index]];
+      const name = daemon && daemon.name ? ` (${daemon.name})` : '';
+      item.textContent = `Sequence ${sequenceIndexes[index] + 1}: ${sequence.join(' ')}${name}`;
+      playbackDiv.appendChild(item);
+      return item;
+    });
+
+    let step = path.length;
+
+    function showStep(newStep) {
+      step = Math.max(0, Math.min(path.length, newStep));
+
+      cells.flat().forEach(cell => cell.classList.remove('path', 'current', 'next', 'active-band'));
+      path.forEach((pos, index) => {
+        const cell = cells[pos.row][pos.col];
+        cell.classList.toggle('path', index < step);
+        cell.classList.toggle('current', index === step - 1);
+        cell.querySelector('.path-number').hidden = index >= step;
+      });
+
+      // The first code is picked from the top row, then picks alternate between
+      // the column and the row of the code picked last
+      if (step < path.length) {
+        const isRow = step % 2 === 0;
+        const band = step === 0 ? 0 : isRow ? path[step - 1].row : path[step - 1].col;
+        cells.forEach((row, i) => row.forEach((cell, j) => {
+          cell.classList.toggle('active-band', isRow ? i === band : j === band);
+        }));
+        cells[path[step].row][path[step].col].classList.add('next');
+      }
+
+      slots.forEach((slot, index) => {
+        slot.textContent = index < step ? path[index].value : '';
+        slot.classList.toggle('filled', index < step);
+      });
+
+      daemonItems.forEach((item, index) => {
+        item.classList.toggle('uploaded', completedAt[index] !== null && completedAt[index] <= step);
+        item.classList.toggle('just-uploaded', completedAt[index] === step);
+      });
+
+      stepItems.forEach((item, index) => item.classList.toggle('current-step', index === step - 1));
+
+      stepLabel.textContent = `Step ${step} of ${path.length}`;
+      backButton.disabled = step === 0;
+      forwardButton.disabled = step === path.length;
+      playButton.textContent = playbackTimer ? '❚❚ Pause' : '▶ Play';
+    }
+
+    backButton.addEventListener('click', () => {
+      stopPlayback();
+      showStep(step - 1);
+    });
+
+    forwardButton.addEventListener('click', () => {
+      stopPlayback();
+      showStep(step + 1);
+    });
+
+    playButton.addEventListener('click', () => {
+      if (playbackTimer) {
+        stopPlayback();
+        showStep(step);
+        return;
+      }
+
+      // Playing from the end starts over
+      if (step === path.length) {
+        step = 0;
+      }
+      playbackTimer = setInterval(() => {
+        showStep(step + 1);
+        if (step === path.length) {
+          stopPlayback();
+          showStep(step);
+        }
+      }, playbackIntervalMs);
+      showStep(step);
+    });
+
+    showStep(step);
+    return playbackDiv;
+  }
+
+  function stopPlayback() {
+    clearInterval(playbackTimer);
+    playbackTimer = null;
+  }
+
+  // sequenceIndexes gives the position on the page of each of the requiredSequences analyzed
+  function displayAnalysis(analysis, sequenceIndexes) {
+    analysisContainer.innerHTML = '';
+
+    if (analysis.error) {
+      analysisContainer.textContent = `Analysis failed: ${analysis.error}`;
+      return;
+    }
+
+    // One row per set of sequences: whether it can be completed together and the buffer it needs
+    const table = document.createElement('table');
+    table.className = 'analysis-table';
+    table.innerHTML = '<tr><th>Sequences</th><th>Achievable</th><th>Min buffer</th></tr>';
+
+    analysis.subsets.forEach(subset => {
+      const row = document.createElement('tr');
+      if (!subset.achievable) {
+        row.className = 'unachievable';
+      }
+      [
+        subset.sequences.map(i => sequenceIndexes[i] + 1).join(', '),
+        subset.achievable ? 'yes' : 'no',
+        subset.achievable ? subset.minBuffer : '-'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+
+    analysisContainer.appendChild(table);
+
+    const summary = document.createElement('p');
+    const atLeast = analysis.complete ? '' : 'at least ';
+    summary.textContent = `Best score ${analysis.bestScore} of ${analysis.maximumScore}, reached by ${atLeast}${analysis.winningPaths} distinct path(s). Difficulty: ${analysis.difficulty.rating}.`;
+    analysisContainer.appendChild(summary);
+  }
+});
@@ -0,0 +1,356 @@
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM elements
+  const sizeSelect = document.getElementById('practice-size');
+  const bufferInput = document.getElementById('practice-buffer');
+  const daemonsInput = document.getElementById('practice-daemons');
+  const timeSelect = document.getElementById('practice-time');
+  const newPuzzleButton = document.getElementById('new-puzzle');
+  const finishButton = document.getElementById('finish-button');
+  const board = document.getElementById('practice-board');
+  const countdown = document.getElementById('countdown');
+  const bufferContainer = document.getElementById('practice-buffer-slots');
+  const matrixContainer = document.getElementById('practice-matrix');
+  const daemonsContainer = document.getElementById('practice-daemons-list');
+  const resultContainer = document.getElementById('practice-result');
+  const statsContainer = document.getElementById('practice-stats');
+  const historyContainer = document.getElementById('practice-history');
+  const clearHistoryButton = document.getElementById('clear-history');
+  const errorContainer = document.getElementById('error-container');
+
+  // Attempts are kept for the browser session, newest first
+  const historyKey = 'breachProtocolPracticeHistory';
+  const historyShown = 20;
+
+  // The attempt under way: the puzzle, the cells picked so far and the clock
+  let puzzle = null;
+  let picked = [];
+  let cells = [];
+  let startedAt = 0;
+  let timeLimitMs = 0;
+  let countdownTimer = null;
+  let finished = true;
+
+  newPuzzleButton.addEventListener('click', startPuzzle);
+  finishButton.addEventListener('click', finishPuzzle);
+  clearHistoryButton.addEventListener('click', () => {
+    sessionStorage.removeItem(historyKey);
+    displayHistory();
+  });
+
+  displayHistory();
+
+  function startPuzzle() {
+    errorContainer.textContent = '';
+    resultContainer.innerHTML = '';
+    stopCountdown();
+
+    const query = new URLSearchParams({
+      size: sizeSelect.value,
+      bufferSize: bufferInput.value,
+      daemons: daemonsInput.value
+    });
+
+    fetch(`/practice/puzzle?${query}`)
+    .then(response => response.json())
+    .then(result => {
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      puzzle = result;
+      picked = [];
+      finished = false;
+      timeLimitMs = parseInt(timeSelect.value) * 1000;
+      startedAt = Date.now();
+
+      displayPuzzle();
+      board.hidden = false;
+      finishButton.disabled = false;
+      countdownTimer = setInterval(updateCountdown, 100);
+      updateCountdown();
+    })
+    .catch(error => {
+      errorContainer.textContent = `Error: ${error.message}`;
+    });
+  }
+
+  function displayPuzzle() {
+    matrixContainer.innerHTML = '';
+    cells = puzzle.codeMatrix.map((codes, i) => {
+      const row = document.createElement('div');
+      row.className = 'matrix-row';
+      matrixContainer.appendChild(row);
+
+      return codes.map((code, j) => {
+        const cell = document.createElement('div');
+        cell.className = 'cell practice-cell';
+        cell.textContent = code;
+        cell.addEventListener('click', () => pickCell(i, j));
+        row.appendChild(cell);
+        return cell;
+      });
+    });
+
+    daemonsContainer.innerHTML = '';
+    puzzle.requiredSequences.forEach((sequence, index) => {
+      const item = document.createElement('div');
+      item.className = 'playback-daemon';
+      item.id = `practice-daemon-${index}`;
+      item.textContent = `Sequence ${index + 1}: ${sequence.join(' ')}`;
+      daemonsContainer.appendChild(item);
+    });
+
+    updateBoard();
+  }
+
+  // The first code is picked from the top row, then picks alternate between
+  // the column and the row of the code picked last
+  function isPickable(row, col) {
+    if (picked.some(cell => cell.row === row && cell.col === col)) {
+      return false;
+    }
+    if (picked.length === 0) {
+      return row === 0;
+    }
+    const previous = picked[picked.length - 1];
+    return picked.length % 2 === 0 ? row === previous.row : col === previous.col;
+  }
+
+  function pickCell(row, col) {
+    if (finished || !isPickable(row, col)) {
+      return;
+    }
+
+    picked.push({ row, col });
+    updateBoard();
+
+    const canPickMore = cells.some((codes, i) => codes.some((cell, j) => isPickable(i, j)));
+    if (picked.length === puzzle.bufferSize || !canPickMore) {
+      finishPuzzle();
+    }
+  }
+
+  function updateBoard() {
+    cells.forEach((codes, i) => codes.forEach((cell, j) => {
+      const pickIndex = picked.findIndex(pos => pos.row === i && pos.col === j);
+      cell.classList.toggle('path', pickIndex !== -1);
+      cell.classList.toggle('active-band', !finished && isPickable(i, j));
+      cell.classList.toggle('disabled', finished || !isPickable(i, j));
+    }));
+
+    const buffer = picked.map(pos => puzzle.codeMatrix[pos.row][pos.col]);
+    bufferContainer.innerHTML = '';
+    for (let i = 0; i < puzzle.bufferSize; i++) {
+      const slot = document.createElement('div');
+      slot.className = 'buffer-slot';
+      if (i < buffer.length) {
+        slot.textContent = buffer[i];
+        slot.classList.add('filled');
+      }
+      bufferContainer.appendChild(slot);
+    }
+
+    // Light up the daemons the buffer uploads so far, as runs of consecutive codes
+    const joined = ` ${buffer.join(' ')} `;
+    puzzle.requiredSequences.forEach((sequence, index) => {
+      document.getElementById(`practice-daemon-${index}`)
+        .classList.toggle('uploaded', joined.includes(` ${sequence.join(' ')} `));
+    });
+  }
+
+  function updateCountdown() {
+    const remainingMs = Math.max(0, timeLimitMs - (Date.now() - startedAt));
+    countdown.textContent = (remainingMs / 1000).toFixed(1);
+    countdown.classList.toggle('running-out', remainingMs < 10000);
+    if (remainingMs === 0) {
+      finishPuzzle();
+    }
+  }
+
+  function stopCountdown() {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+
+  // Compare the buffer with the best solution on the server, which also checks the picks follow the rules
+  function finishPuzzle() {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    stopCountdown();
+    finishButton.disabled = true;
+    const timeMs = Math.min(Date.now() - startedAt, timeLimitMs);
+    updateBoard();
+
+    resultContainer.innerHTML = '<p>Checking...</p>';
+    fetch('/practice/result', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        codeMatrix: puzzle.codeMatrix,
+        requiredSequences: puzzle.requiredSequences,
+        bufferSize: puzzle.bufferSize,
+        picked
+      }),
+    })
+    .then(response => response.json())
+    .then(result => {
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      // The server's search can hit its time limit short of the best score, which a player may then beat
+      const score = result.player.score.total;
+      const bestScore = Math.max(result.optimal.score.total, score);
+      const attempt = {
+        date: new Date().toISOString(),
+        size: puzzle.codeMatrix.length,
+        seed: puzzle.seed,
+        timeMs,
+        score,
+        bestScore,
+        bestProven: result.optimal.optimal !== false,
+        accuracy: bestScore > 0 ? score / bestScore : 1
+      };
+      saveAttempt(attempt);
+      displayResult(result, attempt);
+      displayHistory();
+    })
+    .catch(error => {
+      resultContainer.innerHTML = '';
+      errorContainer.textContent = `Error: ${error.message}`;
+    });
+  }
+
+  function displayResult(result, attempt) {
+    resultContainer.innerHTML = '<h2>Result</h2>';
+
+    const summary = document.createElement('p');
+    summary.className = attempt.accuracy === 1 ? 'success' : 'error';
+    summary.textContent = attempt.accuracy === 1
+      ? `Perfect! You scored ${attempt.score} of a possible ${attempt.bestScore} in ${formatTime(attempt.timeMs)}.`
+      : `You scored ${attempt.score} of a possible ${attempt.bestScore} (${formatPercent(attempt.accuracy)}) in ${formatTime(attempt.timeMs)}.`;
+    resultContainer.appendChild(summary);
+
+    if (!attempt.bestProven) {
+      const note = document.createElement('p');
+      note.className = 'hint';
+      note.textContent = result.player.score.total > result.optimal.score.total
+        ? 'You beat the best solution the solver found before its time limit, so your score counts as the best.'
+        : 'The solver hit its time limit, so a better solution than the one shown may exist.';
+      resultContainer.appendChild(note);
+    }
+
+    const table = document.createElement('table');
+    table.className = 'analysis-table';
+    table.innerHTML = '<tr><th></th><th>Buffer</th><th>Sequences uploaded</th></tr>';
+    [['You', result.player], ['Best', result.optimal]].forEach(([label, solution]) => {
+      const row = document.createElement('tr');
+      [
+        label,
+        solution.path.map(pos => pos.value).join(' ') || '-',
+        solution.completedSequences.map(i => i + 1).join(', ') || 'none'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    resultContainer.appendChild(table);
+
+    if (result.missedSequences.length > 0) {
+      const missed = document.createElement('div');
+      missed.innerHTML = '<h3>Missed:</h3>';
+      const list = document.createElement('ul');
+      result.missedSequences.forEach(index => {
+        const item = document.createElement('li');
+        const completedAt = result.optimal.score.sequences[index].completedAt;
+        item.textContent = `Sequence ${index + 1}: ${puzzle.requiredSequences[index].join(' ')}, which the best path uploads at step ${completedAt}`;
+        list.appendChild(item);
+      });
+      missed.appendChild(list);
+      resultContainer.appendChild(missed);
+    }
+
+    // Number the best path on the matrix, next to the cells you picked
+    result.optimal.path.forEach((pos, index) => {
+      const cell = cells[pos.row][pos.col];
+      cell.classList.add('best-path');
+      const pathNumber = document.createElement('span');
+      pathNumber.className = 'path-number';
+      pathNumber.textContent = index + 1;
+      cell.appendChild(pathNumber);
+    });
+  }
+
+  function loadHistory() {
+    try {
+      return JSON.parse(sessionStorage.getItem(historyKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveAttempt(attempt) {
+    sessionStorage.setItem(historyKey, JSON.stringify([attempt, ...loadHistory()]));
+  }
+
+  function displayHistory() {
+    const history = loadHistory();
+    statsContainer.innerHTML = '';
+    historyContainer.innerHTML = '';
+    clearHistoryButton.hidden = history.length === 0;
+
+    if (history.length === 0) {
+      statsContainer.innerHTML = '<p>No attempts yet.</p>';
+      return;
+    }
+
+    const perfect = history.filter(attempt => attempt.accuracy === 1);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const stats = [
+      `Attempts: ${history.length}`,
+      `Average accuracy: ${formatPercent(average(history.map(attempt => attempt.accuracy)))}`,
+      `Perfect: ${perfect.length} (${formatPercent(perfect.length / history.length)})`,
+      `Average time: ${formatTime(average(history.map(attempt => attempt.timeMs)))}`
+    ];
+    if (perfect.length > 0) {
+      stats.push(`Fastest perfect: ${formatTime(Math.min(...perfect.map(attempt => attempt.timeMs)))}`);
+    }
+    const statsLine = document.createElement('p');
+    statsLine.textContent = stats.join(' | ');
+    statsContainer.appendChild(statsLine);
+
+    const table = document.createElement('table');
+    table.className = 'analysis-table';
+    table.innerHTML = '<tr><th>When</th><th>Matrix</th><th>Score</th><th>Accuracy</th><th>Time</th></tr>';
+    history.slice(0, historyShown).forEach(attempt => {
+      const row = document.createElement('tr');
+      [
+        new Date(attempt.date).toLocaleString(),
+        `${attempt.size}x${attempt.size}`,
+        `${attempt.score} / ${attempt.bestScore}`,
+        formatPercent(attempt.accuracy),
+        formatTime(attempt.timeMs)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    historyContainer.appendChild(table);
+  }
+
+  function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+
+  function formatTime(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+});
@@ -0,0 +1,188 @@
+// Cyberpunk 2077 Breach Protocol puzzle generator, for test data and practice puzzles
+const {BreachProtocol} = require('./BreachProtocol');
+
+/**
+ * The codes the game draws its matrices from
+ */
+const CODE_SET = ['1C', '7A', '55', 'FF', 'BD', 'E9'];
+
+// How many times to re-roll a puzzle that doesn't meet the request before giving up
+const MAX_ATTEMPTS = 200;
+
+/**
+ * Generate a reproducible breach protocol puzzle.
+ * Solvable puzzles are built by walking a random legal path and taking the daemons from its buffer,
+ * so all of them can always be uploaded together. Unsolvable ones are checked with the solver.
+ * @param {Object} [options]
+ * @param {number|Object} [options.size=6] - Matrix size, or {rows, cols} for a rectangular matrix
+ * @param {number} [options.bufferSize=8] - Number of buffer slots
+ * @param {number} [options.daemonCount=3] - Number of required sequences
+ * @param {Array} [options.codeSet=CODE_SET] - Codes to fill the matrix with
+ * @param {number|string} [options.seed] - Seed for the random number generator (default: random)
+ * @param {boolean} [options.solvable=true] - False for a puzzle where not every daemon can be uploaded
+ * @returns {Object} {codeMatrix, requiredSequences, bufferSize, seed}, the same shape the CLI's --save-json writes
+ */
+function generatePuzzle(options = {}) {
+    const {
+        size = 6,
+        bufferSize = 8,
+        daemonCount = 3,
+        codeSet = CODE_SET,
+        seed = Math.floor(Math.random() * 0x100000000),
+        solvable = true
+    } = options;
+    const rows = typeof size === 'object' ? size.rows : size;
+    const cols = typeof size === 'object' ? size.cols : size;
+
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 2 || cols < 2) {
+        throw new Error(`Invalid matrix size: ${JSON.stringify(size)}, expected at least 2x2`);
+    }
+    if (!Number.isInteger(bufferSize) || bufferSize < 2) {
+        throw new Error(`Invalid buffer size: ${bufferSize}, expected at least 2`);
+    }
+    if (!Number.isInteger(daemonCount) || daemonCount < 1) {
+        throw new Error(`Invalid daemon count: ${daemonCount}, expected at least 1`);
+    }
+    if (!Array.isArray(codeSet) || new Set(codeSet).size < 2) {
+        throw new Error('The code set needs at least two different codes');
+    }
+
+    const random = createRandom(seed);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const codeMatrix = [];
+        for (let row = 0; row < rows; row++) {
+            codeMatrix.push([]);
+            for (let col = 0; col < cols; col++) {
+                codeMatrix[row].push(pick(random, codeSet));
+            }
+        }
+
+        const lengths = daemonLengths(random, daemonCount, bufferSize);
+        const requiredSequences = solvable
+            ? plantSequences(random, codeMatrix, bufferSize, lengths)
+            : lengths.map(length => Array.from({length}, () => pick(random, codeSet)));
+
+        if (!requiredSequences || hasDuplicates(requiredSequences)) {
+            continue;
+        }
+
+        if (!solvable) {
+            const solution = new BreachProtocol(codeMatrix, requiredSequences, bufferSize).solve();
+            if (solution.completedSequences.length === requiredSequences.length) {
+                continue;
+            }
+        }
+
+        return {codeMatrix, requiredSequences, bufferSize, seed};
+    }
+
+    throw new Error(`Could not generate a ${solvable ? 'solvable' : 'unsolvable'} puzzle with these settings after ${MAX_ATTEMPTS} attempts`);
+}
+
+/**
+ * Choose daemon lengths like the game does: the first daemon is short and later ones get longer,
+ * from 2 up to 4 codes, as long as each still fits in the buffer
+ * @param {Function} random - Seeded random number generator
+ * @param {number} daemonCount - Number of daemons
+ * @param {number} bufferSize - Number of buffer slots
+ * @returns {Array} Length of each daemon
+ */
+function daemonLengths(random, daemonCount, bufferSize) {
+    const lengths = [];
+    for (let i = 0; i < daemonCount; i++) {
+        const length = Math.min(2 + i, 4) - (random() < 0.3 ? 1 : 0);
+        lengths.push(Math.max(2, Math.min(length, bufferSize)));
+    }
+    return lengths;
+}
+
+/**
+ * Walk a random legal path through the matrix and cut the daemons out of its buffer
+ * @param {Function} random - Seeded random number generator
+ * @param {Array} codeMatrix - 2D array of code buttons
+ * @param {number} bufferSize - Number of buffer slots
+ * @param {Array} lengths - Length of each daemon
+ * @returns {Array|null} Required sequences, or null if the walk got stuck
+ */
+function plantSequences(random, codeMatrix, bufferSize, lengths) {
+    const rows = codeMatrix.length;
+    const cols = codeMatrix[0].length;
+    const visited = new Set();
+    const buffer = [];
+    let row = 0;
+    let col = Math.floor(random() * cols);
+
+    // Picks alternate between the row and the column of the previous pick, starting in the top row
+    for (let step = 0; step < bufferSize; step++) {
+        if (step > 0) {
+            const options = [];
+            for (let i = 0; i < (step % 2 === 1 ? rows : cols); i++) {
+                const next = step % 2 === 1 ? {row: i, col} : {row, col: i};
+                if (!visited.has(`${next.row},${next.col}`)) {
+                    options.push(next);
+                }
+            }
+            if (options.length === 0) {
+                return null;
+            }
+            ({row, col} = pick(random, options));
+        }
+
+        visited.add(`${row},${col}`);
+        buffer.push(codeMatrix[row][col]);
+    }
+
+    // Each daemon is a window of the same buffer, so one path uploads them all
+    return lengths.map(length => {
+        const start = Math.floor(random() * (bufferSize - length + 1));
+        return buffer.slice(start, start + length);
+    });
+}
+
+/**
+ * @param {Array} sequences - Required sequences
+ * @returns {boolean} True if any two sequences are identical
+ */
+function hasDuplicates(sequences) {
+    return new Set(sequences.map(sequence => sequence.join(' '))).size !== sequences.length;
+}
+
+/**
+ * @param {Function} random - Seeded random number generator
+ * @param {Array} items - Items to pick from
+ * @returns {*} A random item
+ */
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Create a seeded random number generator (mulberry32), so the same seed always gives the same puzzle
+ * @param {number|string} seed - Numeric seed, or a string that is hashed into one
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'number') {
+        state = seed >>> 0;
+    } else {
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 0x9E3779B1) >>> 0;
+        }
+    }
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    generatePuzzle,
+    createRandom,
+    CODE_SET
+};
@@ -0,0 +1,222 @@
+// Draws a breach protocol solution onto the screenshot it was read from, where the OCR found the codes
+const Jimp = require('jimp');
+
+// Colours of the overlay, as Jimp RGBA
+const PATH_COLOR = 0xff2020ff;      // Picked cells, the lines between them and the step numbers
+const COMPLETED_COLOR = 0x20ff40ff; // Daemons the path uploads
+const MISSED_COLOR = 0x808080ff;    // Daemons solved for that the path doesn't upload
+
+// Jimp's white fonts by size, the largest that fits is used
+const FONTS = [
+    {size: 16, name: Jimp.FONT_SANS_16_WHITE},
+    {size: 32, name: Jimp.FONT_SANS_32_WHITE},
+    {size: 64, name: Jimp.FONT_SANS_64_WHITE}
+];
+
+const fontCache = new Map();
+
+/**
+ * Load a Jimp font, once
+ * @param {string} name - Jimp font path
+ * @returns {Promise<Object>} The font
+ */
+function loadFont(name) {
+    if (!fontCache.has(name)) {
+        fontCache.set(name, Jimp.loadFont(name));
+    }
+    return fontCache.get(name);
+}
+
+/**
+ * Load the largest font the text fits in at the given size
+ * @param {string} text - Text to fit
+ * @param {number} width - Widest the text may be
+ * @param {number} height - Tallest a line may be
+ * @returns {Promise<Object>} The font, the smallest one if none fits
+ */
+async function fitFont(text, width, height) {
+    for (const {size, name} of [...FONTS].reverse()) {
+        const font = await loadFont(name);
+        if (size <= height && Jimp.measureText(font, text) <= width) {
+            return font;
+        }
+    }
+    return loadFont(FONTS[0].name);
+}
+
+/**
+ * Fill a rectangle, clipped to the image
+ * @param {Jimp} image - Image to draw on
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} color - Jimp RGBA colour
+ */
+function fillRect(image, x, y, width, height, color) {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(image.bitmap.width, Math.round(x + width));
+    const bottom = Math.min(image.bitmap.height, Math.round(y + height));
+    for (let py = top; py < bottom; py++) {
+        for (let px = left; px < right; px++) {
+            image.setPixelColor(color, px, py);
+        }
+    }
+}
+
+/**
+ * Outline a box, grown by the padding on every side
+ * @param {Jimp} image - Image to draw on
+ * @param {Object} box - {x, y, width, height}
+ * @param {number} padding - Space left between the box and the outline
+ * @param {number} thickness - Line width in pixels
+ * @param {number} color - Jimp RGBA colour
+ */
+function outlineBox(image, box, padding, thickness, color) {
+    const x = box.x - padding - thickness;
+    const y = box.y - padding - thickness;
+    const width = box.width + 2 * (padding + thickness);
+    const height = box.height + 2 * (padding + thickness);
+    fillRect(image, x, y, width, thickness, color);
+    fillRect(image, x, y + height - thickness, width, thickness, color);
+    fillRect(image, x, y, thickness, height, color);
+    fillRect(image, x + width - thickness, y, thickness, height, color);
+}
+
+/**
+ * Smallest box around a list of boxes
+ * @param {Array} boxes - {x, y, width, height} boxes
+ * @returns {Object} {x, y, width, height}
+ */
+function boundingBox(boxes) {
+    const left = Math.min(...boxes.map(box => box.x));
+    const top = Math.min(...boxes.map(box => box.y));
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+    return {x: left, y: top, width: right - left, height: bottom - top};
+}
+
+/**
+ * Draw the line from one picked cell to the next. Consecutive picks share a row or a column,
+ * so the line runs straight between the facing edges of their outlines.
+ * @param {Jimp} image - Image to draw on
+ * @param {Object} from - Box of the earlier cell
+ * @param {Object} to - Box of the later cell
+ * @param {number} padding - Space between a cell and its outline
+ * @param {number} thickness - Line width in pixels
+ */
+function connectCells(image, from, to, padding, thickness) {
+    const center = box => ({x: box.x + box.width / 2, y: box.y + box.height / 2});
+    const a = center(from);
+    const b = center(to);
+    const gap = padding + thickness;
+
+    if (Math.abs(a.y - b.y) < Math.abs(a.x - b.x)) {
+        // Along a row
+        const [left, right] = a.x < b.x ? [from, to] : [to, from];
+        const x = left.x + left.width + gap;
+        fillRect(image, x, a.y - thickness / 2, right.x - gap - x, thickness, PATH_COLOR);
+    } else {
+        // Along a column
+        const [top, bottom] = a.y < b.y ? [from, to] : [to, from];
+        const y = top.y + top.height + gap;
+        fillRect(image, a.x - thickness / 2, y, thickness, bottom.y - gap - y, PATH_COLOR);
+    }
+}
+
+/**
+ * Draw a solution onto a copy of the screenshot it was read from: each picked cell outlined and numbered
+ * in the order to pick it, lines along the rows and columns between them, the codes written into the buffer
+ * slots, and the daemons the path uploads outlined in green (the other daemons solved for in grey).
+ * @param {Jimp} image - The screenshot
+ * @param {Object} boxes - Where the OCR found things, as processImage returns: {matrix, sequences, buffer}
+ * @param {Object} solution - {path, completedSequences} from the solver
+ * @param {Object} [options]
+ * @param {Array} [options.daemonIndexes] - Index in boxes.sequences of each sequence the solver was given,
+ *   when it was only given some of the daemons (default: all of them, in order)
+ * @returns {Promise<Jimp>} The screenshot with the solution drawn on it
+ */
+async function renderSolutionOverlay(image, boxes, solution, options = {}) {
+    if (!boxes || !boxes.matrix) {
+        throw new Error('The code matrix cells were not located in the screenshot, so the solution cannot be drawn onto it');
+    }
+
+    const overlay = image.clone();
+    const cells = solution.path.map(({row, col}) => {
+        const box = boxes.matrix[row] && boxes.matrix[row][col];
+        if (!box) {
+            throw new Error(`Row ${row + 1}, column ${col + 1} of the solution is outside the located code matrix`);
+        }
+        return box;
+    });
+
+    const codeHeight = boxes.matrix[0][0].height;
+    // Kept thin enough that the outlines of neighbouring cells don't run into each other
+    const thickness = Math.max(2, Math.round(codeHeight / 12));
+    const padding = Math.max(1, Math.round(codeHeight / 12));
+    const numberFont = await fitFont(String(cells.length), codeHeight * 1.2, codeHeight);
+
+    cells.forEach((box, step) => {
+        outlineBox(overlay, box, padding, thickness, PATH_COLOR);
+        if (step > 0) {
+            connectCells(overlay, cells[step - 1], box, padding, thickness);
+        }
+    });
+
+    // Numbers go on a tag over the top left corner of each cell, on top of the lines
+    cells.forEach((box, step) => {
+        const text = String(step + 1);
+        const width = Jimp.measureText(numberFont, text) + 2 * thickness;
+        const height = Jimp.measureTextHeight(numberFont, text, width) + thickness;
+        const x = box.x - padding - thickness - width / 2;
+        const y = box.y - padding - thickness - height / 2;
+        fillRect(overlay, x, y, width, height, PATH_COLOR);
+        overlay.print(numberFont, Math.round(x + thickness), Math.round(y + thickness / 2), text);
+    });
+
+    // The buffer, as it will read once the path is picked
+    if (boxes.buffer && boxes.buffer.length > 0) {
+        const slotHeight = boxes.buffer[0].height;
+        const slotFont = await fitFont('FF', boxes.buffer[0].width - 2 * thickness, slotHeight);
+        solution.path.slice(0, boxes.buffer.length).forEach((pos, i) => {
+            const slot = boxes.buffer[i];
+            fillRect(overlay, slot.x + thickness, slot.y + thickness, slot.width - 2 * thickness, slot.height - 2 * thickness, PATH_COLOR);
+            const textWidth = Jimp.measureText(slotFont, pos.value);
+            const textHeight = Jimp.measureTextHeight(slotFont, pos.value, slot.width);
+            overlay.print(slotFont, Math.round(slot.x + (slot.width - textWidth) / 2), Math.round(slot.y + (slot.height - textHeight) / 2), pos.value);
+        });
+    }
+
+    if (boxes.sequences) {
+        const daemonIndexes = options.daemonIndexes || boxes.sequences.map((row, i) => i);
+        daemonIndexes.forEach((daemonIndex, sequenceIndex) => {
+            const row = boxes.sequences[daemonIndex];
+            if (row && row.length > 0) {
+                const color = solution.completedSequences.includes(sequenceIndex) ? COMPLETED_COLOR : MISSED_COLOR;
+                outlineBox(overlay, boundingBox(row), padding, thickness, color);
+            }
+        });
+    }
+
+    return overlay;
+}
+
+/**
+ * Draw a solution onto a screenshot file and save it
+ * @param {string} imagePath - Path to the screenshot
+ * @param {Object} boxes - {matrix, sequences, buffer} as processImage returns
+ * @param {Object} solution - {path, completedSequences} from the solver
+ * @param {string} outPath - Where to save the image, its type going by the extension
+ * @param {Object} [options] - See renderSolutionOverlay
+ */
+async function writeSolutionOverlay(imagePath, boxes, solution, outPath, options = {}) {
+    const image = await Jimp.read(imagePath);
+    const overlay = await renderSolutionOverlay(image, boxes, solution, options);
+    await overlay.writeAsync(outPath);
+}
+
+module.exports = {
+    renderSolutionOverlay,
+    writeSolutionOverlay
+};
@@ -0,0 +1,21 @@
+// Worker thread entry point for SolverPool: runs one solver job per message
+const {parentPort} = require('worker_threads');
+const {BreachProtocol} = require('./BreachProtocol');
+
+parentPort.on('message', ({jobId, type, codeMatrix, requiredSequences, bufferSize, options, limit}) => {
+    try {
+        const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize, options);
+
+        // Analysis jobs describe the puzzle rather than solving it.
+        // With a limit, return the ranked alternatives, otherwise the single best solution.
+        let result;
+        if (type === 'analyze') {
+            result = solver.analyze();
+        } else {
+            result = limit ? solver.solveAll(limit) : solver.solve();
+        }
+        parentPort.postMessage({jobId, result});
+    } catch (error) {
+        parentPort.postMessage({jobId, error: error.message});
+    }
+});
@@ -1,607 +1,557 @@
+// Web front end for the breach protocol solver: serves the page in public/ and the solver and OCR endpoints
 const express = require('express');
 const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { solveBreachProtocol } = require('./cyberpunk-breach-solver');
-const { processBreachProtocolImage } = require('./cyberpunk-ocr');
-
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Configure storage for uploaded files
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        cb(null, `breach-${Date.now()}${path.extname(file.originalname)}`);
-    }
-});
-
-const upload = multer({
-    storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-    fileFilter: (req, file, cb) => {
-        // Accept only image files
-        const filetypes = /jpeg|jpg|png|gif|bmp/;
-        const mimetype = filetypes.test(file.mimetype);
-        const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-
-        if (mimetype && extname) {
-            return cb(null, true);
-        }
-        cb(new Error('Only image files are allowed!'));
-    }
-});
+const Jimp = require('jimp');
+const { findUnknownCodes, findSolvableDaemons, cleanMatrix, daemonWeights } = require('./BreachProtocolOCRupdatedAgain');
+const { BreachProtocol, validatePuzzle } = require('./BreachProtocol');
+const { generatePuzzle } = require('./puzzleGenerator');
+const { SolverPool } = require('./SolverPool');
+const { OcrPool } = require('./OcrPool');
+const { renderSolutionOverlay } = require('./solutionOverlay');
 
-// Middleware
-app.use(express.static('public'));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Longest a single /solve request may search for, so one large puzzle can't hang the server
+const MAX_SOLVE_TIME_MS = 5000;
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir);
-}
+// Practice puzzles the page can ask for, as [min, max, default]
+const PRACTICE_LIMITS = {
+    size: [4, 8, 6],
+    bufferSize: [4, 10, 8],
+    daemons: [1, 4, 3]
+};
+
+/**
+ * Create the web server, with its own solver and OCR pools. Nothing listens until listen() is called.
+ * @param {Object} [options]
+ * @param {number} [options.port=3000] - Port listen() uses when not given one
+ * @param {string} [options.publicDir] - Directory of the static page (default: public/ next to this file)
+ * @param {string} [options.uploadDir] - Directory uploaded screenshots are saved to (default: uploads/ next to this file)
+ * @param {number} [options.solverConcurrency] - Maximum number of puzzles solved at once, see SolverPool
+ * @param {number} [options.solverTimeoutMs] - Hard limit per solver job (default: twice the longest search)
+ * @param {number} [options.solverMaxQueue] - Most solver jobs left waiting for a worker, see SolverPool
+ * @param {number} [options.ocrConcurrency] - Maximum number of screenshots read at once, see OcrPool
+ * @param {Object} [options.ocrOptions] - BreachProtocolOCR options, such as { engine: 'template', debugDir: 'debug' }
+ * @returns {Object} { app, solverPool, ocrPool, listen, close }: the Express app and its pools, listen(port) resolving to
+ *   the HTTP server once it's listening, and close() stopping the server and the pools
+ */
+function createServer(options = {}) {
+    const publicDir = options.publicDir || path.join(__dirname, 'public');
+    const uploadDir = options.uploadDir || path.join(__dirname, 'uploads');
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    // Solving happens on worker threads, so one expensive puzzle doesn't block everyone else
+    const solverPool = new SolverPool({
+        concurrency: options.solverConcurrency,
+        timeoutMs: options.solverTimeoutMs || MAX_SOLVE_TIME_MS * 2,
+        maxQueue: options.solverMaxQueue
+    });
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(__dirname + '/public/index.html');
-});
+    // OCR workers stay up between uploads, so only the first uploads pay for starting Tesseract
+    const ocrPool = new OcrPool({
+        size: options.ocrConcurrency,
+        ocrOptions: options.ocrOptions
+    });
 
-// Endpoint to solve a breach protocol
-app.post('/solve', (req, res) => {
-    try {
-        const { codeMatrix, requiredSequences, bufferSize } = req.body;
+    // Configure storage for uploaded files
+    const storage = multer.diskStorage({
+        destination: uploadDir,
+        filename: (req, file, cb) => {
+            cb(null, `breach-${Date.now()}${path.extname(file.originalname)}`);
+        }
+    });
+
+    const upload = multer({
+        storage,
+        limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+        fileFilter: (req, file, cb) => {
+            // Accept only image files
+            const filetypes = /jpeg|jpg|png|gif|bmp/;
+            const mimetype = filetypes.test(file.mimetype);
+            const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
 
-        // Basic validation
-        if (!codeMatrix || !Array.isArray(codeMatrix) || codeMatrix.length === 0) {
-            return res.status(400).json({ error: 'Invalid code matrix' });
+            if (mimetype && extname) {
+                return cb(null, true);
+            }
+            cb(new Error('Only image files are allowed!'));
         }
+    });
 
-        if (!requiredSequences || !Array.isArray(requiredSequences) || requiredSequences.length === 0) {
-            return res.status(400).json({ error: 'Invalid required sequences' });
+    // Rejected uploads are answered in JSON like the other errors, rather than with Express's error page
+    const uploadScreenshot = (req, res, next) => upload.single('screenshot')(req, res, error => {
+        if (error) {
+            return res.status(400).json({ error: error.message });
         }
+        next();
+    });
 
-        const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize || 7);
-        res.json(solution);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    const app = express();
 
-// Endpoint to handle image upload and OCR processing
-app.post('/upload-image', upload.single('screenshot'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No image file uploaded' });
+    // Middleware
+    app.use(express.static(publicDir));
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: true }));
+
+    // Endpoint to solve a breach protocol
+    app.post('/solve', async (req, res) => {
+        try {
+            const { codeMatrix, requiredSequences, bufferSize, limit, selected, axis, weights, timeBudgetMs } = req.body;
+
+            // Basic validation
+            if (!codeMatrix || !Array.isArray(codeMatrix) || codeMatrix.length === 0) {
+                return res.status(400).json({ error: 'Invalid code matrix' });
+            }
+
+            if (!requiredSequences || !Array.isArray(requiredSequences) || requiredSequences.length === 0) {
+                return res.status(400).json({ error: 'Invalid required sequences' });
+            }
+
+            if (rejectInvalidPuzzle(req, res) || rejectUnknownCodes(req, res)) {
+                return;
+            }
+
+            if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+                return res.status(400).json({ error: 'Invalid limit, expected a positive integer' });
+            }
+
+            if (selected !== undefined && !Array.isArray(selected)) {
+                return res.status(400).json({ error: 'Invalid selected cells, expected an array of {row, col}' });
+            }
+
+            if (timeBudgetMs !== undefined && !(timeBudgetMs > 0)) {
+                return res.status(400).json({ error: 'Invalid timeBudgetMs, expected a positive number' });
+            }
+
+            if (weights !== undefined && (!Array.isArray(weights) || weights.length !== requiredSequences.length)) {
+                return res.status(400).json({ error: 'Invalid weights, expected one number or tier name per required sequence' });
+            }
+
+            // Cells already picked in-game, so the solver carries on from there
+            const options = {
+                selected,
+                axis,
+                weights,
+                timeBudgetMs: Math.min(timeBudgetMs || MAX_SOLVE_TIME_MS, MAX_SOLVE_TIME_MS)
+            };
+
+            await runSolverJob(solverPool, req, res, { codeMatrix, requiredSequences, bufferSize: bufferSize === undefined ? 7 : bufferSize, options, limit });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
         }
+    });
 
-        const imagePath = req.file.path;
-        console.log(`Processing uploaded image: ${imagePath}`);
+    // Endpoint to analyze a puzzle: achievable daemon sets, the buffer each needs, winning paths and difficulty
+    app.post('/analyze', async (req, res) => {
+        try {
+            const { codeMatrix, requiredSequences, bufferSize, weights, timeBudgetMs } = req.body;
 
-        // Process the image with OCR
-        const result = await processBreachProtocolImage(imagePath);
+            if (!codeMatrix || !Array.isArray(codeMatrix) || codeMatrix.length === 0) {
+                return res.status(400).json({ error: 'Invalid code matrix' });
+            }
 
-        // Clean up the matrix (remove incomplete rows, etc.)
-        const cleanedMatrix = cleanMatrix(result.codeMatrix);
+            if (!requiredSequences || !Array.isArray(requiredSequences) || requiredSequences.length === 0) {
+                return res.status(400).json({ error: 'Invalid required sequences' });
+            }
 
-        // Filter out empty or invalid sequences
-        const cleanedSequences = result.requiredSequences.filter(seq =>
-            seq && seq.length > 0 && !seq.includes('??')
-        );
+            if (rejectInvalidPuzzle(req, res) || rejectUnknownCodes(req, res)) {
+                return;
+            }
 
-        // Return the extracted data
-        res.json({
-            codeMatrix: cleanedMatrix,
-            requiredSequences: cleanedSequences,
-            bufferSize: result.bufferSize,
-            imagePath: req.file.filename
-        });
-    } catch (error) {
-        console.error('Error processing image:', error);
-        res.status(500).json({ error: error.message || 'Error processing image' });
-    }
-});
+            if (timeBudgetMs !== undefined && !(timeBudgetMs > 0)) {
+                return res.status(400).json({ error: 'Invalid timeBudgetMs, expected a positive number' });
+            }
 
-/**
- * Clean up the matrix to ensure it's square and has valid values
- * @param {Array} matrix - The extracted code matrix
- * @returns {Array} Cleaned matrix
- */
-function cleanMatrix(matrix) {
-    // Filter out rows with unknown values
-    const filteredMatrix = matrix.filter(row => !row.includes('??'));
+            if (weights !== undefined && (!Array.isArray(weights) || weights.length !== requiredSequences.length)) {
+                return res.status(400).json({ error: 'Invalid weights, expected one number or tier name per required sequence' });
+            }
 
-    // Determine the most common row length
-    const rowLengths = filteredMatrix.map(row => row.length);
-    const mostCommonLength = findMostCommon(rowLengths);
+            // Weighed like /solve, so the best score is comparable with the solution
+            const options = {
+                weights,
+                timeBudgetMs: Math.min(timeBudgetMs || MAX_SOLVE_TIME_MS, MAX_SOLVE_TIME_MS)
+            };
 
-    // Keep only rows with the most common length
-    const cleanedMatrix = filteredMatrix.filter(row => row.length === mostCommonLength);
+            await runSolverJob(solverPool, req, res, { type: 'analyze', codeMatrix, requiredSequences, bufferSize: bufferSize === undefined ? 7 : bufferSize, options });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
 
-    return cleanedMatrix;
-}
+    // Endpoint to draw a practice puzzle, e.g. /practice/puzzle?size=6&bufferSize=8&daemons=3&seed=42
+    app.get('/practice/puzzle', (req, res) => {
+        const settings = {};
+        for (const [name, [min, max, defaultValue]] of Object.entries(PRACTICE_LIMITS)) {
+            const value = req.query[name] === undefined ? defaultValue : Number(req.query[name]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return res.status(400).json({ error: `Invalid ${name}, expected a whole number from ${min} to ${max}` });
+            }
+            settings[name] = value;
+        }
 
-/**
- * Find the most common value in an array
- * @param {Array} arr - Input array
- * @returns {*} Most common value
- */
-function findMostCommon(arr) {
-    const counts = {};
-    arr.forEach(value => {
-        counts[value] = (counts[value] || 0) + 1;
+        // Numeric seeds are passed on as numbers, so the seed a puzzle comes back with draws it again
+        const seed = /^\d+$/.test(req.query.seed) ? Number(req.query.seed) : req.query.seed;
+
+        try {
+            res.json(generatePuzzle({
+                size: settings.size,
+                bufferSize: settings.bufferSize,
+                daemonCount: settings.daemons,
+                seed
+            }));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
     });
 
-    return Object.entries(counts)
-        .sort((a, b) => b[1] - a[1])
-        [0][0];
-}
+    // Endpoint to mark a practice attempt: the cells picked, as {row, col} in order, against the best solution
+    app.post('/practice/result', async (req, res) => {
+        const { codeMatrix, requiredSequences, bufferSize, picked } = req.body;
 
-// Start server
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-});
+        if (rejectInvalidPuzzle(req, res)) {
+            return;
+        }
 
-// Create the public folder and HTML file
-const fs = require('fs');
-const path = require('path');
+        if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+            return res.status(400).json({ error: 'Invalid bufferSize, expected a positive integer' });
+        }
 
-const publicDir = path.join(__dirname, 'public');
-if (!fs.existsSync(publicDir)) {
-    fs.mkdirSync(publicDir);
-}
+        if (!Array.isArray(picked)) {
+            return res.status(400).json({ error: 'Invalid picked cells, expected an array of {row, col}' });
+        }
 
-const htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Cyberpunk 2077 Breach Protocol Solver</title>
-  <style>
-    body {
-      font-family: 'Courier New', monospace;
-      background-color: #0f0f1a;
-      color: #00ff00;
-      margin: 0;
-      padding: 20px;
-    }
-    
-    .container {
-      max-width: 900px;
-      margin: 0 auto;
-    }
-    
-    h1, h2 {
-      color: #ffff00;
-      text-shadow: 0 0 5px rgba(255, 255, 0, 0.5);
-    }
-    
-    .grid-container {
-      display: flex;
-      flex-direction: column;
-      gap: 10px;
-      margin-bottom: 20px;
-    }
-    
-    .matrix-row {
-      display: flex;
-      gap: 10px;
-    }
-    
-    .cell {
-      width: 50px;
-      height: 50px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      background-color: #181830;
-      border: 1px solid #3333aa;
-      font-weight: bold;
-      position: relative;
-    }
-    
-    .cell.path {
-      background-color: #334433;
-      border-color: #00ff00;
-    }
-    
-    .path-number {
-      position: absolute;
-      top: 2px;
-      right: 2px;
-      font-size: 10px;
-      color: #ffff00;
-    }
-    
-    .sequence {
-      display: flex;
-      gap: 10px;
-      margin-bottom: 10px;
-    }
-    
-    .sequence-item {
-      padding: 10px;
-      background-color: #181830;
-      border: 1px solid #3333aa;
-    }
-    
-    .sequence.completed .sequence-item {
-      background-color: #334433;
-      border-color: #00ff00;
-    }
-    
-    .controls {
-      margin-top: 20px;
-      display: flex;
-      flex-direction: column;
-      gap: 10px;
-    }
-    
-    input, button, select {
-      background-color: #181830;
-      color: #00ff00;
-      border: 1px solid #3333aa;
-      padding: 8px 12px;
-      font-family: 'Courier New', monospace;
-    }
-    
-    button {
-      cursor: pointer;
-      transition: all 0.2s;
-    }
-    
-    button:hover {
-      background-color: #222260;
-    }
-    
-    button:active {
-      background-color: #333380;
-    }
-    
-    .flex {
-      display: flex;
-      gap: 10px;
-    }
-    
-    #matrix-container input {
-      width: 40px;
-      text-align: center;
-    }
-    
-    .error {
-      color: #ff3333;
-      margin-bottom: 10px;
-    }
-    
-    .success {
-      color: #00ff00;
-      margin-bottom: 10px;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Cyberpunk 2077 Breach Protocol Solver</h1>
-    
-    <div id="error-container" class="error"></div>
-    <div id="success-container" class="success"></div>
-    
-    <div class="controls">
-      <div class="flex">
-        <div>
-          <label for="matrix-size">Matrix Size:</label>
-          <select id="matrix-size">
-            <option value="4">4x4</option>
-            <option value="5">5x5</option>
-            <option value="6">6x6</option>
-            <option value="7" selected>7x7</option>
-          </select>
-        </div>
-        
-        <div>
-          <label for="buffer-size">Buffer Size:</label>
-          <input type="number" id="buffer-size" value="7" min="1" max="10">
-        </div>
-        
-        <div>
-          <label for="sequence-count">Sequences:</label>
-          <input type="number" id="sequence-count" value="3" min="1" max="5">
-        </div>
-        
-        <button id="update-config">Update Configuration</button>
-      </div>
-    </div>
-    
-    <h2>Code Matrix</h2>
-    <div id="matrix-container" class="grid-container"></div>
-    
-    <h2>Required Sequences</h2>
-    <div id="sequences-container"></div>
-    
-    <div class="controls">
-      <button id="solve-button">Solve Breach Protocol</button>
-    </div>
-    
-    <h2>Solution</h2>
-    <div id="solution-container">
-      <p>Click "Solve Breach Protocol" to generate a solution.</p>
-    </div>
-  </div>
-
-  <script>
-    document.addEventListener('DOMContentLoaded', () => {
-      // DOM elements
-      const matrixSizeSelect = document.getElementById('matrix-size');
-      const bufferSizeInput = document.getElementById('buffer-size');
-      const sequenceCountInput = document.getElementById('sequence-count');
-      const updateConfigButton = document.getElementById('update-config');
-      const matrixContainer = document.getElementById('matrix-container');
-      const sequencesContainer = document.getElementById('sequences-container');
-      const solveButton = document.getElementById('solve-button');
-      const solutionContainer = document.getElementById('solution-container');
-      const errorContainer = document.getElementById('error-container');
-      const successContainer = document.getElementById('success-container');
-      
-      // Initial configuration
-      let matrixSize = parseInt(matrixSizeSelect.value);
-      let bufferSize = parseInt(bufferSizeInput.value);
-      let sequenceCount = parseInt(sequenceCountInput.value);
-      
-      // Common code values for the game
-      const commonCodeValues = ['1C', '7A', '55', 'FF', 'BD', 'E9'];
-      
-      // Initialize
-      updateMatrix();
-      updateSequences();
-      
-      // Event listeners
-      updateConfigButton.addEventListener('click', () => {
-        matrixSize = parseInt(matrixSizeSelect.value);
-        bufferSize = parseInt(bufferSizeInput.value);
-        sequenceCount = parseInt(sequenceCountInput.value);
-        
-        updateMatrix();
-        updateSequences();
-        clearSolution();
-        clearMessages();
-      });
-      
-      solveButton.addEventListener('click', solveBreach);
-      
-      // Functions
-      function updateMatrix() {
-        matrixContainer.innerHTML = '';
-        
-        for (let i = 0; i < matrixSize; i++) {
-          const row = document.createElement('div');
-          row.className = 'matrix-row';
-          
-          for (let j = 0; j < matrixSize; j++) {
-            const cell = document.createElement('div');
-            cell.className = 'cell input-cell';
-            
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.maxLength = 2;
-            input.className = 'code-input';
-            input.dataset.row = i;
-            input.dataset.col = j;
-            input.value = getRandomCodeValue();
-            
-            cell.appendChild(input);
-            row.appendChild(cell);
-          }
-          
-          matrixContainer.appendChild(row);
+        // Checks the picks follow the game's rules, as for cells already selected in-game
+        let player;
+        try {
+            const solver = new BreachProtocol(codeMatrix, requiredSequences, bufferSize);
+            const path = solver.resolveStartPath(picked);
+            const score = solver.scorePath(path);
+            player = {
+                path,
+                completedSequences: score.sequences.filter(seq => seq.completed).map(seq => seq.index),
+                score
+            };
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
-      }
-      
-      function updateSequences() {
-        sequencesContainer.innerHTML = '';
-        
-        for (let i = 0; i < sequenceCount; i++) {
-          const sequenceDiv = document.createElement('div');
-          sequenceDiv.className = 'sequence';
-          sequenceDiv.id = \`sequence-\${i}\`;
-          
-          // Determine sequence length (2-4)
-          const sequenceLength = Math.floor(Math.random() * 3) + 2; // 2 to 4
-          
-          for (let j = 0; j < sequenceLength; j++) {
-            const sequenceItem = document.createElement('div');
-            sequenceItem.className = 'sequence-item';
-            
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.maxLength = 2;
-            input.className = 'sequence-input';
-            input.dataset.sequence = i;
-            input.dataset.position = j;
-            input.value = getRandomCodeValue();
-            
-            sequenceItem.appendChild(input);
-            sequenceDiv.appendChild(sequenceItem);
-          }
-          
-          sequencesContainer.appendChild(sequenceDiv);
+
+        let job;
+        try {
+            job = solverPool.submit({
+                codeMatrix,
+                requiredSequences,
+                bufferSize,
+                options: { timeBudgetMs: MAX_SOLVE_TIME_MS }
+            });
+        } catch (error) {
+            return res.status(503).json({ error: error.message });
         }
-      }
-      
-      function getRandomCodeValue() {
-        return commonCodeValues[Math.floor(Math.random() * commonCodeValues.length)];
-      }
-      
-      function clearSolution() {
-        solutionContainer.innerHTML = '<p>Click "Solve Breach Protocol" to generate a solution.</p>';
-      }
-      
-      function clearMessages() {
-        errorContainer.textContent = '';
-        successContainer.textContent = '';
-      }
-      
-      function solveBreach() {
-        clearMessages();
-        
+        cancelOnDisconnect(solverPool, res, job);
+
         try {
-          // Gather matrix data
-          const codeMatrix = [];
-          for (let i = 0; i < matrixSize; i++) {
-            const row = [];
-            for (let j = 0; j < matrixSize; j++) {
-              const input = document.querySelector(\`.code-input[data-row="\${i}"][data-col="\${j}"]\`);
-              const value = input.value.trim().toUpperCase();
-              if (!value) {
-                throw new Error(\`Empty value at row \${i+1}, column \${j+1}\`);
-              }
-              row.push(value);
-            }
-            codeMatrix.push(row);
-          }
-          
-          // Gather sequence data
-          const requiredSequences = [];
-          for (let i = 0; i < sequenceCount; i++) {
-            const sequence = [];
-            const inputs = document.querySelectorAll(\`.sequence-input[data-sequence="\${i}"]\`);
-            inputs.forEach(input => {
-              const value = input.value.trim().toUpperCase();
-              if (!value) {
-                throw new Error(\`Empty value in sequence \${i+1}\`);
-              }
-              sequence.push(value);
+            const optimal = await job.promise;
+            res.json({
+                player,
+                optimal,
+                missedSequences: optimal.completedSequences.filter(index => !player.completedSequences.includes(index))
             });
-            requiredSequences.push(sequence);
-          }
-          
-          // Call solver
-          fetch('/solve', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              codeMatrix,
-              requiredSequences,
-              bufferSize
-            }),
-          })
-          .then(response => response.json())
-          .then(solution => {
-            displaySolution(solution, codeMatrix, requiredSequences);
-          })
-          .catch(error => {
-            errorContainer.textContent = \`Error: \${error.message}\`;
-          });
         } catch (error) {
-          errorContainer.textContent = \`Error: \${error.message}\`;
+            if (!res.destroyed) {
+                res.status(500).json({ error: error.message });
+            }
         }
-      }
-      
-      function displaySolution(solution, codeMatrix, requiredSequences) {
-        // Clear the solution container
-        solutionContainer.innerHTML = '';
-        
-        if (solution.path.length === 0) {
-          solutionContainer.innerHTML = '<p>No solution found that completes any sequence within the buffer limit.</p>';
-          return;
+    });
+
+    // Endpoint to check on a solver job, e.g. one submitted with "async": true
+    app.get('/jobs/:id', (req, res) => {
+        const job = solverPool.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    });
+
+    // Endpoint to cancel a queued or running solver job
+    app.delete('/jobs/:id', (req, res) => {
+        if (!solverPool.cancel(req.params.id)) {
+            return res.status(404).json({ error: 'No queued or running job with that id' });
         }
-        
-        // Display success message
-        successContainer.textContent = \`Found solution that completes \${solution.completedSequences.length} of \${requiredSequences.length} sequences.\`;
-        
-        // Create a copy of the matrix with solution path
-        const matrixDiv = document.createElement('div');
-        matrixDiv.className = 'grid-container';
-        
-        for (let i = 0; i < matrixSize; i++) {
-          const row = document.createElement('div');
-          row.className = 'matrix-row';
-          
-          for (let j = 0; j < matrixSize; j++) {
-            const cell = document.createElement('div');
-            cell.className = 'cell';
-            cell.textContent = codeMatrix[i][j];
-            
-            // Check if this cell is in the path
-            const pathIndex = solution.path.findIndex(pos => pos.row === i && pos.col === j);
-            if (pathIndex !== -1) {
-              cell.classList.add('path');
-              
-              const pathNumber = document.createElement('span');
-              pathNumber.className = 'path-number';
-              pathNumber.textContent = pathIndex + 1;
-              cell.appendChild(pathNumber);
+        res.json(solverPool.getJob(req.params.id));
+    });
+
+    // Endpoint to handle image upload and OCR processing
+    app.post('/upload-image', uploadScreenshot, async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No image file uploaded' });
+            }
+
+            const imagePath = req.file.path;
+            console.log(`Processing uploaded image: ${imagePath}`);
+
+            // Process the image with OCR
+            const result = await ocrPool.process(imagePath);
+
+            // Return the codes as read, unknown ones included, so they can be highlighted and corrected
+            const unknown = findUnknownCodes(result);
+            const extracted = {
+                codeMatrix: result.codeMatrix,
+                daemons: result.daemons,
+                requiredSequences: result.requiredSequences,
+                bufferSize: result.bufferSize,
+                confidence: result.confidence,
+                unknown,
+                imagePath: req.file.filename
+            };
+
+            // Clean up the matrix (remove incomplete rows, etc.)
+            const cleanedMatrix = cleanMatrix(result.codeMatrix);
+
+            const daemons = findSolvableDaemons(result.daemons);
+            const cleanedSequences = daemons.map(daemon => daemon.codes);
+
+            // Don't solve unknown codes unless asked to guess
+            const unknownCount = unknown.cells.length + unknown.sequences.length;
+            const solveNow = req.body.solve === 'true' && (unknownCount === 0 || req.body.allowGuess === 'true');
+            if (req.body.solve === 'true' && !solveNow) {
+                extracted.solveError = `${unknownCount} code(s) could not be read confidently, correct them or allow guesses`;
+            }
+
+            // Optionally solve straight away, through the same worker pool as /solve
+            if (solveNow && cleanedSequences.length > 0) {
+                let job;
+                try {
+                    job = solverPool.submit({
+                        codeMatrix: cleanedMatrix,
+                        requiredSequences: cleanedSequences,
+                        bufferSize: result.bufferSize,
+                        options: { weights: daemonWeights(daemons), timeBudgetMs: MAX_SOLVE_TIME_MS }
+                    });
+                } catch (error) {
+                    return res.status(503).json({ error: error.message });
+                }
+                cancelOnDisconnect(solverPool, res, job);
+                extracted.solution = await job.promise;
+                extracted.jobId = job.id;
+            }
+
+            // Return the extracted data
+            res.json(extracted);
+        } catch (error) {
+            console.error('Error processing image:', error);
+            if (!res.destroyed) {
+                res.status(500).json({ error: error.message || 'Error processing image' });
             }
-            
-            row.appendChild(cell);
-          }
-          
-          matrixDiv.appendChild(row);
         }
-        
-        solutionContainer.appendChild(matrixDiv);
-        
-        // Display the solution steps
-        const stepsDiv = document.createElement('div');
-        stepsDiv.innerHTML = '<h3>Solution Steps:</h3>';
-        
-        const stepsList = document.createElement('ol');
-        solution.path.forEach(pos => {
-          const step = document.createElement('li');
-          step.textContent = `Select "${codeMatrix[pos.row][pos.col]}" at Row ${pos.row + 1}, Column ${pos.col + 1}`;
-          stepsList.appendChild(step);
-        });
-        
-        stepsDiv.appendChild(stepsList);
-        solutionContainer.appendChild(stepsDiv);
-        
-        // Display completed sequences
-        const sequencesDiv = document.createElement('div');
-        sequencesDiv.innerHTML = '<h3>Completed Sequences:</h3>';
-        
-        if (solution.completedSequences.length === 0) {
-          sequencesDiv.innerHTML += '<p>No sequences completed.</p>';
-        } else {
-          const sequencesList = document.createElement('ul');
-          
-          solution.completedSequences.forEach(seqIndex => {
-            const sequenceItem = document.createElement('li');
-            sequenceItem.textContent = `Sequence ${seqIndex + 1}: ${requiredSequences[seqIndex].join(' → ')}`;
-            sequencesList.appendChild(sequenceItem);
-            
-            // Also highlight the completed sequences in the UI
-            const sequenceDiv = document.getElementById(`sequence-${seqIndex}`);
-            if (sequenceDiv) {
-              sequenceDiv.classList.add('completed');
+    });
+
+    // Endpoint to solve a screenshot and send it back as a PNG with the solution drawn on it.
+    // Takes the same form fields as /upload-image, plus bufferSize to correct the buffer size read.
+    app.post('/overlay', uploadScreenshot, async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No image file uploaded' });
+            }
+
+            const result = await ocrPool.process(req.file.path);
+
+            const unknown = findUnknownCodes(result);
+            const unknownCount = unknown.cells.length + unknown.sequences.length;
+            if (unknownCount > 0 && req.body.allowGuess !== 'true') {
+                return res.status(400).json({
+                    error: `${unknownCount} code(s) could not be read confidently, correct them or allow guesses`,
+                    unknown
+                });
+            }
+
+            const daemons = findSolvableDaemons(result.daemons);
+            if (daemons.length === 0) {
+                return res.status(400).json({ error: 'No daemons still to be uploaded were read from the screenshot' });
+            }
+
+            let job;
+            try {
+                job = solverPool.submit({
+                    codeMatrix: cleanMatrix(result.codeMatrix),
+                    requiredSequences: daemons.map(daemon => daemon.codes),
+                    bufferSize: parseInt(req.body.bufferSize) || result.bufferSize,
+                    options: { weights: daemonWeights(daemons), timeBudgetMs: MAX_SOLVE_TIME_MS }
+                });
+            } catch (error) {
+                return res.status(503).json({ error: error.message });
+            }
+            cancelOnDisconnect(solverPool, res, job);
+            const solution = await job.promise;
+
+            const overlay = await renderSolutionOverlay(await Jimp.read(req.file.path), result.boxes, solution, {
+                daemonIndexes: daemons.map(daemon => result.daemons.indexOf(daemon))
+            });
+            res.type('png').send(await overlay.getBufferAsync(Jimp.MIME_PNG));
+        } catch (error) {
+            console.error('Error drawing the solution overlay:', error);
+            if (!res.destroyed) {
+                res.status(500).json({ error: error.message || 'Error drawing the solution overlay' });
+            }
+        }
+    });
+
+    let server = null;
+
+    return {
+        app,
+        solverPool,
+        ocrPool,
+
+        /**
+         * Start listening
+         * @param {number} [port] - Port to listen on, 0 for any free one (default: options.port, or 3000)
+         * @returns {Promise<http.Server>} The server, once it's listening
+         */
+        listen(port = options.port === undefined ? 3000 : options.port) {
+            return new Promise((resolve, reject) => {
+                server = app.listen(port, () => resolve(server));
+                server.once('error', reject);
+            });
+        },
+
+        /**
+         * Stop listening and shut down the solver and OCR pools
+         */
+        async close() {
+            if (server) {
+                await new Promise(resolve => server.close(resolve));
+                server = null;
             }
-          });
-          
-          sequencesDiv.appendChild(sequencesList);
+            await Promise.all([solverPool.close(), ocrPool.close()]);
         }
-        
-        solutionContainer.appendChild(sequencesDiv);
-      }
+    };
+}
+
+/**
+ * Refuse a puzzle that isn't a grid of codes with lists of codes to upload, naming the row or sequence at fault,
+ * before anything goes through its codes
+ * @param {Object} req - Express request, with codeMatrix and requiredSequences in its body
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the request was refused and answered
+ */
+function rejectInvalidPuzzle(req, res) {
+    try {
+        validatePuzzle(req.body.codeMatrix, req.body.requiredSequences);
+        return false;
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return true;
+    }
+}
+
+/**
+ * Refuse a puzzle with unknown codes, unless the request sets "allowGuess": true.
+ * The solver then plans around unknown matrix codes, listing any a path relies on in its assumptions.
+ * Unknown sequence codes are always refused, as no path can be sure to upload such a sequence.
+ * @param {Object} req - Express request, with codeMatrix and requiredSequences in its body
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the request was refused and answered
+ */
+function rejectUnknownCodes(req, res) {
+    const { codeMatrix, requiredSequences, allowGuess } = req.body;
+    const unknown = findUnknownCodes({ codeMatrix, requiredSequences });
+    const unknownCount = unknown.cells.length + unknown.sequences.length;
+
+    if (unknownCount === 0 || (allowGuess && unknown.sequences.length === 0)) {
+        return false;
+    }
+
+    res.status(400).json({
+        error: allowGuess
+            ? `${unknown.sequences.length} sequence code(s) are unknown, correct them to solve`
+            : `${unknownCount} code(s) are unknown, correct them or set allowGuess to solve anyway`,
+        unknown
     });
-  </script>
-</body>
-</html>
-`;
+    return true;
+}
 
-fs.writeFileSync(path.join(publicDir, 'index.html'), htmlContent);
+/**
+ * Run a solver job on the pool and send its result.
+ * With "async": true in the body the job id is returned straight away, to be polled at /jobs/:id.
+ * @param {SolverPool} solverPool - Pool to run the job on
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} task - Solver job, see SolverPool.submit
+ */
+async function runSolverJob(solverPool, req, res, task) {
+    // Puzzles the solver refuses, such as rows of different lengths or selected cells that break the rules,
+    // are the client's to fix, rather than failed jobs
+    try {
+        new BreachProtocol(task.codeMatrix, task.requiredSequences, task.bufferSize, task.options);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-// If server is run directly
+    let job;
+    try {
+        job = solverPool.submit(task);
+    } catch (error) {
+        return res.status(503).json({ error: error.message });
+    }
+
+    if (req.body.async) {
+        return res.status(202).json({ jobId: job.id, status: job.status });
+    }
+
+    cancelOnDisconnect(solverPool, res, job);
+
+    try {
+        const result = await job.promise;
+
+        if (task.limit) {
+            // The best solution is returned as before, with the ranked list alongside it
+            const best = result[0] || { path: [], completedSequences: [] };
+            return res.json({ ...best, alternatives: result, jobId: job.id });
+        }
+
+        res.json({ ...result, jobId: job.id });
+    } catch (error) {
+        // Nobody is listening for a job that was cancelled because the client went away
+        if (!res.destroyed) {
+            const status = solverPool.getJob(job.id).status === 'timed-out' ? 504 : 500;
+            res.status(status).json({ error: error.message, jobId: job.id });
+        }
+    }
+}
+
+/**
+ * Cancel a solver job if the client disconnects before the response is sent
+ * @param {SolverPool} solverPool - Pool the job runs on
+ * @param {Object} res - Express response
+ * @param {Object} job - Solver job
+ */
+function cancelOnDisconnect(solverPool, res, job) {
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            solverPool.cancel(job.id);
+        }
+    });
+}
+
+// Run with npm start. PORT, SOLVER_CONCURRENCY, SOLVER_TIMEOUT_MS, OCR_CONCURRENCY and OCR_ENGINE configure the server;
+// set DEBUG_DIR to keep the debug images of each upload.
 if (require.main === module) {
-    console.log(`Server starting at http://localhost:${port}`);
+    const server = createServer({
+        port: parseInt(process.env.PORT) || undefined,
+        solverConcurrency: parseInt(process.env.SOLVER_CONCURRENCY) || undefined,
+        solverTimeoutMs: parseInt(process.env.SOLVER_TIMEOUT_MS) || undefined,
+        ocrConcurrency: parseInt(process.env.OCR_CONCURRENCY) || undefined,
+        ocrOptions: { engine: process.env.OCR_ENGINE || 'tesseract', debugDir: process.env.DEBUG_DIR }
+    });
+
+    server.listen()
+        .then(httpServer => console.log(`Server running at http://localhost:${httpServer.address().port}`))
+        .catch(error => {
+            console.error(`Could not start the server: ${error.message}`);
+            process.exit(1);
+        });
 }
 
-module.exports = app;
\ No newline at end of file
+module.exports = {
+    createServer
+};
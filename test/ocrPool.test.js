@@ -0,0 +1,126 @@
+// Tests of the OCR pool queueing screenshots for its instances, and of the CLI's batch mode processing a folder on it
+const {describe, test} = require('node:test');
+const assert = require('node:assert');
+const {execFile} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {OcrPool} = require('../fromClaudeWithTesseractOcr/OcrPool');
+
+const IMAGE_DIR = path.join(__dirname, '..', 'exampleImages');
+const GROUND_TRUTH_DIR = path.join(IMAGE_DIR, 'groundTruth');
+const CLI_PATH = path.join(__dirname, '..', 'fromClaudeWithTesseractOcr', 'cyberpunk-ocr-cli.js');
+
+const images = fs.readdirSync(IMAGE_DIR).filter(file => file.endsWith('.jpg')).sort();
+
+/**
+ * @param {string} image - Screenshot file name
+ * @returns {Object} Its ground truth from exampleImages/groundTruth
+ */
+function groundTruth(image) {
+    const file = path.join(GROUND_TRUTH_DIR, `${path.parse(image).name}.json`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Run a function with the OCR's progress logging silenced
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+async function quietly(fn) {
+    const {log, warn, error} = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+describe('OCR pool', () => {
+    test('queues screenshots for a busy instance and reuses it once released', async () => {
+        const pool = new OcrPool({size: 1, ocrOptions: {engine: 'template'}});
+        try {
+            await quietly(async () => {
+                const screenshots = images.slice(0, 3);
+                const results = screenshots.map(image => pool.process(path.join(IMAGE_DIR, image)));
+                assert.strictEqual(pool.queue.length, 2, 'the first screenshot starts the only instance, the others wait');
+
+                (await Promise.all(results)).forEach((result, i) => {
+                    const {codeMatrix} = groundTruth(screenshots[i]);
+                    assert.strictEqual(result.codeMatrix.length, codeMatrix.length, screenshots[i]);
+                    assert.strictEqual(result.codeMatrix[0].length, codeMatrix[0].length, screenshots[i]);
+                });
+                assert.strictEqual(pool.idle.length, 1, 'one instance did every screenshot');
+                assert.strictEqual(pool.busy.size, 0);
+
+                // A failed screenshot hands its instance back too
+                await assert.rejects(pool.process(path.join(IMAGE_DIR, 'missing.jpg')), /Image file does not exist/);
+                assert.strictEqual(pool.idle.length, 1);
+                assert.strictEqual(pool.busy.size, 0);
+            });
+        } finally {
+            await quietly(() => pool.close());
+        }
+    });
+
+    test('refuses screenshots beyond the queue limit', async () => {
+        const pool = new OcrPool({size: 1, maxQueue: 1, ocrOptions: {engine: 'template'}});
+        try {
+            await quietly(async () => {
+                const results = images.slice(0, 2).map(image => pool.process(path.join(IMAGE_DIR, image)));
+                await assert.rejects(pool.process(path.join(IMAGE_DIR, images[2])), {message: 'OCR queue is full, try again shortly'});
+                await Promise.all(results);
+            });
+        } finally {
+            await quietly(() => pool.close());
+        }
+    });
+
+    test('refuses waiting and new screenshots once closed', async () => {
+        const pool = new OcrPool({size: 1, ocrOptions: {engine: 'template'}});
+        await quietly(async () => {
+            const results = images.slice(0, 2).map(image =>
+                assert.rejects(pool.process(path.join(IMAGE_DIR, image)), {message: 'OCR pool closed'}));
+            await pool.close();
+            await Promise.all(results);
+            await assert.rejects(pool.process(path.join(IMAGE_DIR, images[0])), {message: 'OCR pool closed'});
+            assert.strictEqual(pool.idle.length, 0);
+        });
+    });
+});
+
+describe('CLI batch mode', () => {
+    test('writes a result line for every screenshot in a folder', async () => {
+        const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-batch-'));
+        const outPath = path.join(outDir, 'results.jsonl');
+        try {
+            const stdout = await new Promise((resolve, reject) => {
+                execFile(process.execPath, [CLI_PATH, IMAGE_DIR, '--ocr-engine', 'template', '--solve', '--allow-guess',
+                    '--out', outPath, '--concurrency', '2'], {cwd: outDir, timeout: 300000}, (error, stdout) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(stdout);
+                    }
+                });
+            });
+            assert.match(stdout, new RegExp(`Wrote ${images.length} results to .*, 0 failed`));
+
+            // Lines are written as screenshots finish, so in no particular order
+            const lines = fs.readFileSync(outPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(lines.map(line => path.basename(line.image)).sort(), images);
+            lines.forEach(line => {
+                const image = path.basename(line.image);
+                const {codeMatrix} = groundTruth(image);
+                assert.strictEqual(line.ok, true, image);
+                assert.strictEqual(line.codeMatrix.length, codeMatrix.length, image);
+                assert.ok(line.solution, `${image} is solved`);
+            });
+        } finally {
+            fs.rmSync(outDir, {recursive: true, force: true});
+        }
+    });
+});
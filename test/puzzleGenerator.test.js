@@ -0,0 +1,45 @@
+// Tests of the puzzle generator: reproducible from a seed, and solvable or not as asked
+const {describe, test} = require('node:test');
+const assert = require('node:assert');
+const {generatePuzzle} = require('../fromClaudeWithTesseractOcr/puzzleGenerator');
+const {solveBreachProtocol} = require('../fromClaudeWithTesseractOcr/BreachProtocol');
+
+describe('Puzzle generator', () => {
+    test('draws the same puzzle from the same seed', () => {
+        const puzzle = generatePuzzle({seed: 42});
+        assert.deepStrictEqual(generatePuzzle({seed: 42}), puzzle);
+        assert.deepStrictEqual(generatePuzzle({seed: 'practice'}), generatePuzzle({seed: 'practice'}));
+        assert.notDeepStrictEqual(generatePuzzle({seed: 43}).codeMatrix, puzzle.codeMatrix);
+    });
+
+    test('follows the settings', () => {
+        const puzzle = generatePuzzle({size: {rows: 5, cols: 7}, bufferSize: 6, daemonCount: 4, seed: 1});
+        assert.strictEqual(puzzle.codeMatrix.length, 5);
+        assert.ok(puzzle.codeMatrix.every(row => row.length === 7));
+        assert.strictEqual(puzzle.bufferSize, 6);
+        assert.strictEqual(puzzle.requiredSequences.length, 4);
+        assert.ok(puzzle.requiredSequences.every(sequence => sequence.length >= 2 && sequence.length <= 4));
+    });
+
+    test('draws solvable puzzles that upload every daemon', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const {codeMatrix, requiredSequences, bufferSize} = generatePuzzle({seed});
+            const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize);
+            assert.strictEqual(solution.completedSequences.length, requiredSequences.length, `seed ${seed}`);
+        }
+    });
+
+    test('draws unsolvable puzzles where some daemon has to be given up', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const {codeMatrix, requiredSequences, bufferSize} = generatePuzzle({seed, solvable: false});
+            const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize);
+            assert.ok(solution.completedSequences.length < requiredSequences.length, `seed ${seed}`);
+        }
+    });
+
+    test('refuses settings no puzzle fits', () => {
+        assert.throws(() => generatePuzzle({size: 1}), /Invalid matrix size: 1/);
+        assert.throws(() => generatePuzzle({bufferSize: 1}), /Invalid buffer size: 1/);
+        assert.throws(() => generatePuzzle({daemonCount: 0}), /Invalid daemon count: 0/);
+    });
+});
@@ -0,0 +1,217 @@
+// Regression tests on the example screenshots: OCR accuracy against the ground truth in
+// exampleImages/groundTruth, and the solver completing the expected daemons.
+// Run with npm test, OCR_ENGINE=tesseract to test the Tesseract engine instead of the offline template one.
+const {describe, test} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {BreachProtocolOCR, processBreachProtocolImage, daemonWeights, UNKNOWN_CODE} = require('../fromClaudeWithTesseractOcr/BreachProtocolOCRupdatedAgain');
+const {solveBreachProtocol} = require('../fromClaudeWithTesseractOcr/BreachProtocol');
+const {buildTemplates, TRAINING_IMAGES} = require('../fromClaudeWithTesseractOcr/buildTemplates');
+const {TEMPLATE_DIR} = require('../fromClaudeWithTesseractOcr/codeRecognizers');
+
+const IMAGE_DIR = path.join(__dirname, '..', 'exampleImages');
+const GROUND_TRUTH_DIR = path.join(IMAGE_DIR, 'groundTruth');
+
+const OCR_ENGINE = process.env.OCR_ENGINE || 'template';
+
+// Share of the matrix cells each screenshot has to read correctly. Cells under the cursor can't always
+// be read, which is fine as long as they come out unknown rather than as the wrong code.
+const MIN_CELL_ACCURACY = 0.95;
+
+// The template engine's glyphs are built from some of the screenshots. Reading those back shows little of how
+// it reads new ones, so its accuracy is reported apart from the held-out screenshots and not held to the threshold.
+const isTrainingImage = image => OCR_ENGINE === 'template' && TRAINING_IMAGES.includes(image);
+
+const fixtures = fs.readdirSync(GROUND_TRUTH_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(GROUND_TRUTH_DIR, file), 'utf8')));
+
+/**
+ * Run a function with the OCR's progress logging silenced
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+async function quietly(fn) {
+    const {log, warn} = console;
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+/**
+ * Compare codes read by OCR with the ground truth, position by position
+ * @param {Array} actual - Codes as read, UNKNOWN_CODE for ones that couldn't be read
+ * @param {Array} expected - Codes as they are
+ * @returns {Object} {correct, unknown, wrong} counts, wrong including codes missing from actual
+ */
+function compareCodes(actual, expected) {
+    const counts = {correct: 0, unknown: 0, wrong: 0};
+    expected.forEach((code, i) => {
+        if (actual[i] === code) {
+            counts.correct++;
+        } else if (actual[i] === UNKNOWN_CODE) {
+            counts.unknown++;
+        } else {
+            counts.wrong++;
+        }
+    });
+    return counts;
+}
+
+/**
+ * @param {Object} counts - {correct, unknown, wrong}
+ * @returns {string} The counts as a line of the report
+ */
+function formatCounts(counts) {
+    const total = counts.correct + counts.unknown + counts.wrong;
+    return `${counts.correct}/${total} correct (${(counts.correct / total * 100).toFixed(1)}%), ${counts.unknown} unknown, ${counts.wrong} wrong`;
+}
+
+describe(`OCR of the example screenshots (${OCR_ENGINE} engine)`, () => {
+    const newTotals = () => ({
+        cells: {correct: 0, unknown: 0, wrong: 0},
+        sequences: {correct: 0, unknown: 0, wrong: 0}
+    });
+    const totals = {heldOut: newTotals(), training: newTotals()};
+    const addTo = (total, counts) => Object.keys(total).forEach(key => total[key] += counts[key]);
+
+    fixtures.forEach(truth => {
+        test(truth.image, async t => {
+            const imageTotals = isTrainingImage(truth.image) ? totals.training : totals.heldOut;
+            const result = await quietly(() => processBreachProtocolImage(path.join(IMAGE_DIR, truth.image), {engine: OCR_ENGINE}));
+
+            assert.deepStrictEqual(
+                result.codeMatrix.map(row => row.length),
+                truth.codeMatrix.map(row => row.length),
+                'matrix size'
+            );
+            const cells = compareCodes(result.codeMatrix.flat(), truth.codeMatrix.flat());
+            addTo(imageTotals.cells, cells);
+            t.diagnostic(`matrix: ${formatCounts(cells)}`);
+
+            assert.strictEqual(result.daemons.length, truth.daemons.length, 'number of daemons');
+            const sequences = {correct: 0, unknown: 0, wrong: 0};
+            truth.daemons.forEach((daemon, i) => addTo(sequences, compareCodes(result.daemons[i].codes, daemon.codes)));
+            addTo(imageTotals.sequences, sequences);
+            t.diagnostic(`sequences: ${formatCounts(sequences)}`);
+
+            assert.strictEqual(cells.wrong, 0, 'matrix codes read as the wrong code');
+            assert.strictEqual(sequences.wrong, 0, 'sequence codes read as the wrong code');
+            assert.ok(
+                cells.correct / truth.codeMatrix.flat().length >= MIN_CELL_ACCURACY,
+                `matrix accuracy below ${MIN_CELL_ACCURACY * 100}%`
+            );
+            assert.strictEqual(result.bufferSize, truth.bufferSize, 'buffer size');
+
+            // Only engines that read text find the daemon names
+            truth.daemons.forEach((daemon, i) => {
+                if (result.daemons[i].name !== null) {
+                    assert.strictEqual(result.daemons[i].name, daemon.name, `name of daemon ${i + 1}`);
+                    assert.strictEqual(result.daemons[i].tier, daemon.tier, `tier of daemon ${i + 1}`);
+                }
+                assert.strictEqual(result.daemons[i].status, daemon.status, `status of daemon ${i + 1}`);
+            });
+        });
+    });
+
+    test('accuracy on held-out screenshots', t => {
+        t.diagnostic(`matrix: ${formatCounts(totals.heldOut.cells)}`);
+        t.diagnostic(`sequences: ${formatCounts(totals.heldOut.sequences)}`);
+
+        const {correct, unknown, wrong} = totals.heldOut.cells;
+        assert.ok(correct / (correct + unknown + wrong) >= MIN_CELL_ACCURACY, `matrix accuracy below ${MIN_CELL_ACCURACY * 100}%`);
+    });
+
+    if (OCR_ENGINE === 'template') {
+        test('accuracy on the screenshots the templates were built from', t => {
+            t.diagnostic(`matrix: ${formatCounts(totals.training.cells)}`);
+            t.diagnostic(`sequences: ${formatCounts(totals.training.sequences)}`);
+        });
+    }
+});
+
+describe('Template glyphs', () => {
+    test('are the ones buildTemplates.js builds from the ground truth', async () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-templates-'));
+        try {
+            await quietly(() => buildTemplates(IMAGE_DIR, outputDir));
+
+            const built = fs.readdirSync(outputDir).sort();
+            assert.deepStrictEqual(fs.readdirSync(TEMPLATE_DIR).sort(), built);
+            built.forEach(file => {
+                assert.ok(fs.readFileSync(path.join(outputDir, file)).equals(fs.readFileSync(path.join(TEMPLATE_DIR, file))),
+                    `templates/${file} is out of date, rebuild it with node fromClaudeWithTesseractOcr/buildTemplates.js`);
+            });
+        } finally {
+            fs.rmSync(outputDir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('Debug output', () => {
+    const [first, second] = fixtures.map(truth => path.join(IMAGE_DIR, truth.image));
+
+    test('is not saved without a debug directory', async () => {
+        // Run from an empty directory, so anything written relative to it shows up there
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-nodebug-'));
+        const cwd = process.cwd();
+        try {
+            process.chdir(workDir);
+            await quietly(() => processBreachProtocolImage(first, {engine: 'template'}));
+            assert.deepStrictEqual(fs.readdirSync(workDir), []);
+        } finally {
+            process.chdir(cwd);
+            fs.rmSync(workDir, {recursive: true, force: true});
+        }
+    });
+
+    test('is saved to a directory of its own per screenshot', async () => {
+        const debugDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-debug-'));
+        const ocr = new BreachProtocolOCR({engine: 'template', debugDir});
+        try {
+            await quietly(async () => {
+                await ocr.initialize();
+                // The same screenshot twice too, which mustn't overwrite the first run's output
+                for (const image of [first, second, first]) {
+                    await ocr.processImage(image);
+                }
+            });
+
+            const runDirs = fs.readdirSync(debugDir).sort();
+            assert.strictEqual(runDirs.length, 3);
+            assert.deepStrictEqual(runDirs.map(dir => dir.replace(/-[^-]+$/, '')),
+                [first, first, second].map(image => path.parse(image).name).sort());
+            runDirs.forEach(dir => {
+                const files = fs.readdirSync(path.join(debugDir, dir));
+                assert.ok(files.includes('processed_full_image.png'), dir);
+                assert.ok(files.includes('annotated.png'), dir);
+            });
+        } finally {
+            await ocr.terminate();
+            fs.rmSync(debugDir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('Solving the example screenshots', () => {
+    fixtures.forEach(truth => {
+        test(truth.image, async () => {
+            // expectedDaemons counts among the daemons still to be uploaded, as those are all the solver is given
+            const pending = truth.daemons.filter(daemon => daemon.status === 'pending');
+            const {completedSequences} = await quietly(async () => solveBreachProtocol(
+                truth.codeMatrix,
+                pending.map(daemon => daemon.codes),
+                truth.bufferSize,
+                {weights: daemonWeights(pending)}
+            ));
+
+            assert.deepStrictEqual([...completedSequences].sort((a, b) => a - b), truth.expectedDaemons);
+        });
+    });
+});
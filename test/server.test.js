@@ -0,0 +1,312 @@
+// Tests of the web server: the static page and the solver endpoints, on a server listening on a free port
+const {describe, test, before, after} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Jimp = require('jimp');
+const {createServer} = require('../fromClaudeWithTesseractOcr/visualiser');
+const {createRandom} = require('../fromClaudeWithTesseractOcr/puzzleGenerator');
+
+const CODE_MATRIX = [
+    ['1C', '55', 'BD'],
+    ['E9', '1C', '55'],
+    ['BD', 'E9', '1C']
+];
+
+/**
+ * Run a function with the OCR's progress logging silenced
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+async function quietly(fn) {
+    const {log, warn} = console;
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+/**
+ * @param {string} image - File name of an example screenshot
+ * @returns {FormData} Form uploading the screenshot
+ */
+function screenshotForm(image) {
+    const form = new FormData();
+    const data = fs.readFileSync(path.join(__dirname, '..', 'exampleImages', image));
+    form.append('screenshot', new Blob([data], {type: 'image/jpeg'}), image);
+    return form;
+}
+
+/**
+ * A puzzle with half its cells unread, which keeps a solver worker busy for seconds
+ * @returns {Object} {codeMatrix, requiredSequences, bufferSize}
+ */
+function slowPuzzle() {
+    const random = createRandom('slow');
+    const codes = ['1C', '55', '7A', 'BD', 'E9', 'FF'];
+    const pick = () => codes[Math.floor(random() * codes.length)];
+    return {
+        codeMatrix: Array.from({length: 7}, () => Array.from({length: 7}, () => random() < 0.5 ? '??' : pick())),
+        requiredSequences: [3, 4, 5, 3, 4].map(length => Array.from({length}, pick)),
+        bufferSize: 12
+    };
+}
+
+describe('Web server', () => {
+    let server;
+    let baseUrl;
+    let uploadDir;
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-uploads-'));
+        server = createServer({uploadDir, solverConcurrency: 1, solverMaxQueue: 1, ocrConcurrency: 1, ocrOptions: {engine: 'template'}});
+        const httpServer = await server.listen(0);
+        baseUrl = `http://localhost:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(uploadDir, {recursive: true, force: true});
+    });
+
+    const post = (route, body) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(body)
+    });
+
+    test('serves the page and its assets', async () => {
+        const page = await fetch(`${baseUrl}/`);
+        assert.strictEqual(page.status, 200);
+        const html = await page.text();
+        assert.match(html, /<title>Cyberpunk 2077 Breach Protocol Solver<\/title>/);
+
+        for (const asset of ['style.css', 'app.js']) {
+            assert.ok(html.includes(`"${asset}"`), `page links ${asset}`);
+            const response = await fetch(`${baseUrl}/${asset}`);
+            assert.strictEqual(response.status, 200, asset);
+        }
+    });
+
+    test('solves a puzzle', async () => {
+        const response = await post('/solve', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 4});
+        assert.strictEqual(response.status, 200);
+
+        const solution = await response.json();
+        assert.deepStrictEqual(solution.completedSequences, [0]);
+        assert.deepStrictEqual(solution.path.map(({row, col}) => CODE_MATRIX[row][col]), ['1C', 'E9']);
+    });
+
+    test('refuses an invalid puzzle', async () => {
+        const response = await post('/solve', {codeMatrix: [], requiredSequences: [['1C']]});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), {error: 'Invalid code matrix'});
+    });
+
+    test('refuses unknown codes unless guessing is allowed', async () => {
+        const codeMatrix = CODE_MATRIX.map(row => [...row]);
+        codeMatrix[2][2] = '??';
+
+        const refused = await post('/solve', {codeMatrix, requiredSequences: [['1C', 'E9']], bufferSize: 4});
+        assert.strictEqual(refused.status, 400);
+        assert.strictEqual((await refused.json()).unknown.cells.length, 1);
+
+        const guessed = await post('/solve', {codeMatrix, requiredSequences: [['1C', 'E9']], bufferSize: 4, allowGuess: true});
+        assert.strictEqual(guessed.status, 200);
+    });
+
+    test('refuses puzzles the solver cannot take', async () => {
+        const ragged = await post('/solve', {codeMatrix: [['1C', '55'], ['E9']], requiredSequences: [['1C', 'E9']], bufferSize: 4});
+        assert.strictEqual(ragged.status, 400);
+        assert.deepStrictEqual(await ragged.json(), {error: 'Row 2 of the code matrix has 1 codes, expected 2 like row 1'});
+
+        const notRows = await post('/solve', {codeMatrix: ['1C 55', 'E9 BD'], requiredSequences: [['1C', 'E9']], bufferSize: 4});
+        assert.strictEqual(notRows.status, 400);
+        assert.deepStrictEqual(await notRows.json(), {error: 'Row 1 of the code matrix is empty or not an array'});
+
+        const notSequence = await post('/analyze', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9'], '55 1C'], bufferSize: 4});
+        assert.strictEqual(notSequence.status, 400);
+        assert.deepStrictEqual(await notSequence.json(), {error: 'Required sequence 2 is empty or not an array'});
+
+        const selected = await post('/solve', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 4, selected: [{row: 1, col: 0}]});
+        assert.strictEqual(selected.status, 400);
+
+        for (const route of ['/solve', '/analyze']) {
+            const bufferSize = await post(route, {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 'abc'});
+            assert.strictEqual(bufferSize.status, 400, route);
+            assert.deepStrictEqual(await bufferSize.json(), {error: 'Invalid buffer size: abc, expected a positive whole number of slots'});
+        }
+    });
+
+    test('runs jobs in the background to poll and cancel', async () => {
+        const submitted = await post('/solve', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 4, async: true});
+        assert.strictEqual(submitted.status, 202);
+        const {jobId} = await submitted.json();
+
+        let finished;
+        do {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            finished = await (await fetch(`${baseUrl}/jobs/${jobId}`)).json();
+        } while (['queued', 'running'].includes(finished.status));
+        assert.strictEqual(finished.status, 'completed');
+        assert.deepStrictEqual(finished.result.completedSequences, [0]);
+
+        // One slow job keeps the only worker busy, a second fills the queue and a third is turned away
+        const slow = {...slowPuzzle(), allowGuess: true, async: true};
+        const running = await (await post('/solve', slow)).json();
+        const queued = await (await post('/solve', slow)).json();
+        const refused = await post('/solve', slow);
+        assert.strictEqual(refused.status, 503);
+
+        for (const job of [queued, running]) {
+            const cancelled = await fetch(`${baseUrl}/jobs/${job.jobId}`, {method: 'DELETE'});
+            assert.strictEqual((await cancelled.json()).status, 'cancelled');
+        }
+
+        assert.strictEqual((await fetch(`${baseUrl}/jobs/${running.jobId}`, {method: 'DELETE'})).status, 404);
+        assert.strictEqual((await fetch(`${baseUrl}/jobs/unknown`)).status, 404);
+    });
+
+    test('reads an uploaded screenshot for review', async () => {
+        const response = await quietly(() => fetch(`${baseUrl}/upload-image`, {
+            method: 'POST',
+            body: screenshotForm('20240623150405_1.jpg')
+        }));
+        assert.strictEqual(response.status, 200);
+
+        const result = await response.json();
+        assert.strictEqual(result.codeMatrix.length, 5);
+        assert.strictEqual(result.confidence.codeMatrix.length, 5);
+        assert.strictEqual(result.daemons.length, result.confidence.requiredSequences.length);
+        assert.strictEqual(result.solution, undefined, 'only solved when asked to');
+    });
+
+    test('answers 503 when the solver queue is full for a screenshot to solve', async () => {
+        const slow = {...slowPuzzle(), allowGuess: true, async: true};
+        const jobs = [await (await post('/solve', slow)).json(), await (await post('/solve', slow)).json()];
+
+        try {
+            const form = screenshotForm('20240623150405_1.jpg');
+            form.append('solve', 'true');
+            form.append('allowGuess', 'true');
+            const response = await quietly(() => fetch(`${baseUrl}/upload-image`, {method: 'POST', body: form}));
+            assert.strictEqual(response.status, 503);
+            assert.deepStrictEqual(await response.json(), {error: 'Solver queue is full, try again shortly'});
+        } finally {
+            for (const job of jobs) {
+                await fetch(`${baseUrl}/jobs/${job.jobId}`, {method: 'DELETE'});
+            }
+        }
+    });
+
+    test('draws the solution onto an uploaded screenshot', async () => {
+        const response = await quietly(() => fetch(`${baseUrl}/overlay`, {
+            method: 'POST',
+            body: screenshotForm('20250221230051_1.jpg')
+        }));
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('content-type'), 'image/png');
+
+        const overlay = await Jimp.read(Buffer.from(await response.arrayBuffer()));
+        assert.deepStrictEqual([overlay.bitmap.width, overlay.bitmap.height], [1920, 1080]);
+    });
+
+    test('refuses an upload that is not an image', async () => {
+        const form = new FormData();
+        form.append('screenshot', new Blob(['not an image'], {type: 'text/plain'}), 'notes.txt');
+
+        const response = await fetch(`${baseUrl}/upload-image`, {method: 'POST', body: form});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), {error: 'Only image files are allowed!'});
+    });
+
+    test('draws practice puzzles, the same one again from its seed', async () => {
+        const response = await fetch(`${baseUrl}/practice/puzzle?size=5&bufferSize=6&daemons=2`);
+        assert.strictEqual(response.status, 200);
+
+        const puzzle = await response.json();
+        assert.strictEqual(puzzle.codeMatrix.length, 5);
+        assert.strictEqual(puzzle.requiredSequences.length, 2);
+        assert.strictEqual(puzzle.bufferSize, 6);
+
+        const again = await fetch(`${baseUrl}/practice/puzzle?size=5&bufferSize=6&daemons=2&seed=${puzzle.seed}`);
+        assert.deepStrictEqual(await again.json(), puzzle);
+    });
+
+    test('refuses practice settings out of range', async () => {
+        const response = await fetch(`${baseUrl}/practice/puzzle?size=12`);
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), {error: 'Invalid size, expected a whole number from 4 to 8'});
+    });
+
+    test('marks a practice attempt against the best solution', async () => {
+        const puzzle = {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9'], ['55', '1C']], bufferSize: 4};
+
+        const response = await post('/practice/result', {...puzzle, picked: [{row: 0, col: 0}, {row: 1, col: 0}]});
+        assert.strictEqual(response.status, 200);
+
+        const result = await response.json();
+        assert.deepStrictEqual(result.player.completedSequences, [0]);
+        assert.deepStrictEqual(result.optimal.completedSequences.sort(), [0, 1]);
+        assert.deepStrictEqual(result.missedSequences, [1]);
+    });
+
+    test('refuses practice picks that break the rules', async () => {
+        const response = await post('/practice/result', {
+            codeMatrix: CODE_MATRIX,
+            requiredSequences: [['1C', 'E9']],
+            bufferSize: 4,
+            picked: [{row: 1, col: 0}]
+        });
+        assert.strictEqual(response.status, 400);
+    });
+
+    test('refuses a malformed practice attempt', async () => {
+        const attempt = {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 4, picked: []};
+        const malformed = [
+            [{...attempt, bufferSize: undefined}, 'Invalid bufferSize, expected a positive integer'],
+            [{...attempt, bufferSize: '4'}, 'Invalid bufferSize, expected a positive integer'],
+            [{...attempt, codeMatrix: ['1C 55', 'E9 BD']}, 'Row 1 of the code matrix is empty or not an array'],
+            [{...attempt, requiredSequences: '1C E9'}, 'Required sequences must be an array of sequences'],
+            [{...attempt, picked: '0,0'}, 'Invalid picked cells, expected an array of {row, col}'],
+            [{...attempt, picked: [null]}, 'Selected cell 1 is outside the 3x3 matrix']
+        ];
+
+        for (const [body, error] of malformed) {
+            const response = await post('/practice/result', body);
+            assert.strictEqual(response.status, 400, JSON.stringify(body));
+            assert.deepStrictEqual(await response.json(), {error});
+        }
+    });
+
+    test('analyzes a puzzle', async () => {
+        const response = await post('/analyze', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], bufferSize: 4});
+        assert.strictEqual(response.status, 200);
+
+        const analysis = await response.json();
+        assert.strictEqual(analysis.bestScore, analysis.maximumScore);
+    });
+
+    test('weighs the analysis like the solution', async () => {
+        const response = await post('/analyze', {
+            codeMatrix: CODE_MATRIX,
+            requiredSequences: [['1C', 'E9'], ['55', '55']],
+            bufferSize: 4,
+            weights: ['expert', 'basic']
+        });
+        assert.strictEqual(response.status, 200);
+
+        const analysis = await response.json();
+        assert.strictEqual(analysis.maximumScore, 5);
+        assert.strictEqual(analysis.bestScore, 4);
+    });
+
+    test('refuses analysis weights that do not match the sequences', async () => {
+        const response = await post('/analyze', {codeMatrix: CODE_MATRIX, requiredSequences: [['1C', 'E9']], weights: [1, 2]});
+        assert.strictEqual(response.status, 400);
+    });
+});
@@ -0,0 +1,384 @@
+// Tests of the solver, checked against a brute force search of every legal path on small random puzzles
+const {describe, test} = require('node:test');
+const assert = require('node:assert');
+const {BreachProtocol, solveBreachProtocol, solveAll, analyzePuzzle, TIER_WEIGHTS, WILDCARD} = require('../fromClaudeWithTesseractOcr/BreachProtocol');
+const {createRandom} = require('../fromClaudeWithTesseractOcr/puzzleGenerator');
+
+/**
+ * Check whether a buffer uploads a sequence, written independently of the solver's own matching
+ * @param {Array} buffer - Codes in the buffer
+ * @param {Array} sequence - Required sequence
+ * @param {string} matchMode - 'contiguous' or 'subsequence'
+ * @returns {boolean} True if the sequence is uploaded
+ */
+function uploads(buffer, sequence, matchMode) {
+    if (matchMode === 'subsequence') {
+        let matched = 0;
+        buffer.forEach(code => {
+            if (code === sequence[matched]) {
+                matched++;
+            }
+        });
+        return matched >= sequence.length;
+    }
+    return ` ${buffer.join(' ')} `.includes(` ${sequence.join(' ')} `);
+}
+
+/**
+ * Try every legal path and keep the best: highest total weight, then shortest
+ * @param {Array} codeMatrix - 2D array of codes
+ * @param {Array} requiredSequences - Required sequences
+ * @param {number} bufferSize - Buffer slots
+ * @param {string} matchMode - 'contiguous' or 'subsequence'
+ * @param {Array} [weights] - Weight per sequence (default 1 each)
+ * @returns {Object} {score, length}
+ */
+function bruteForce(codeMatrix, requiredSequences, bufferSize, matchMode, weights = requiredSequences.map(() => 1)) {
+    let best = {score: 0, length: 0};
+    const path = [];
+    const visited = new Set();
+
+    const visit = (row, col) => {
+        path.push(codeMatrix[row][col]);
+        visited.add(`${row},${col}`);
+
+        const score = requiredSequences.reduce((sum, sequence, i) => sum + (uploads(path, sequence, matchMode) ? weights[i] : 0), 0);
+        if (score > best.score || (score === best.score && score > 0 && path.length < best.length)) {
+            best = {score, length: path.length};
+        }
+
+        if (path.length < bufferSize) {
+            const alongColumn = path.length % 2 === 1;
+            const lineLength = alongColumn ? codeMatrix.length : codeMatrix[0].length;
+            for (let i = 0; i < lineLength; i++) {
+                const [nextRow, nextCol] = alongColumn ? [i, col] : [row, i];
+                if (!visited.has(`${nextRow},${nextCol}`)) {
+                    visit(nextRow, nextCol);
+                }
+            }
+        }
+
+        path.pop();
+        visited.delete(`${row},${col}`);
+    };
+
+    codeMatrix[0].forEach((code, col) => visit(0, col));
+    return best;
+}
+
+/**
+ * Try every legal path for what an analysis reports, with every daemon weighing 1 and contiguous matching
+ * @param {Array} codeMatrix - 2D array of codes
+ * @param {Array} requiredSequences - Required sequences
+ * @param {number} bufferSize - Buffer slots
+ * @returns {Object} {bestScore, winningPaths, minBuffers}: how many paths reach the best score with their
+ *   last move, and the shortest buffer completing each set of sequences, keyed by its indexes joined with ','
+ */
+function bruteForceAnalysis(codeMatrix, requiredSequences, bufferSize) {
+    const pathsByScore = new Map();
+    const minBufferByMask = new Map();
+    const path = [];
+    const visited = new Set();
+
+    const visit = (row, col, previousScore) => {
+        path.push(codeMatrix[row][col]);
+        visited.add(`${row},${col}`);
+
+        const mask = requiredSequences.reduce((sum, sequence, i) => sum | (uploads(path, sequence, 'contiguous') ? 1 << i : 0), 0);
+        const score = requiredSequences.filter((sequence, i) => mask & (1 << i)).length;
+        if (score > previousScore) {
+            pathsByScore.set(score, (pathsByScore.get(score) || 0) + 1);
+        }
+        if (mask > 0 && !(minBufferByMask.get(mask) <= path.length)) {
+            minBufferByMask.set(mask, path.length);
+        }
+
+        if (path.length < bufferSize) {
+            const alongColumn = path.length % 2 === 1;
+            const lineLength = alongColumn ? codeMatrix.length : codeMatrix[0].length;
+            for (let i = 0; i < lineLength; i++) {
+                const [nextRow, nextCol] = alongColumn ? [i, col] : [row, i];
+                if (!visited.has(`${nextRow},${nextCol}`)) {
+                    visit(nextRow, nextCol, score);
+                }
+            }
+        }
+
+        path.pop();
+        visited.delete(`${row},${col}`);
+    };
+
+    codeMatrix[0].forEach((code, col) => visit(0, col, 0));
+
+    const minBuffers = {};
+    for (let subset = 1; subset < (1 << requiredSequences.length); subset++) {
+        const key = requiredSequences.map((sequence, i) => i).filter(i => subset & (1 << i)).join(',');
+        minBuffers[key] = null;
+        minBufferByMask.forEach((length, mask) => {
+            if ((mask & subset) === subset && (minBuffers[key] === null || length < minBuffers[key])) {
+                minBuffers[key] = length;
+            }
+        });
+    }
+
+    const bestScore = Math.max(0, ...pathsByScore.keys());
+    return {bestScore, winningPaths: pathsByScore.get(bestScore) || 0, minBuffers};
+}
+
+/**
+ * Draw a small random puzzle from few codes, so daemons often share codes and overlap
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} {codeMatrix, requiredSequences, bufferSize}
+ */
+function randomPuzzle(random) {
+    const codes = ['1C', '55', '7A'];
+    const pick = () => codes[Math.floor(random() * codes.length)];
+    const size = 3 + Math.floor(random() * 2);
+    const codeMatrix = Array.from({length: size}, () => Array.from({length: size}, pick));
+    const requiredSequences = Array.from({length: 2 + Math.floor(random() * 2)},
+        () => Array.from({length: 2 + Math.floor(random() * 2)}, pick));
+    return {codeMatrix, requiredSequences, bufferSize: 3 + Math.floor(random() * 3)};
+}
+
+describe('Solver', () => {
+    for (const matchMode of ['contiguous', 'subsequence']) {
+        test(`matches a brute force search with ${matchMode} matching`, () => {
+            const random = createRandom(matchMode);
+            for (let i = 0; i < 150; i++) {
+                const {codeMatrix, requiredSequences, bufferSize} = randomPuzzle(random);
+                const expected = bruteForce(codeMatrix, requiredSequences, bufferSize, matchMode);
+                const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize, {matchMode});
+
+                const puzzle = JSON.stringify({codeMatrix, requiredSequences, bufferSize});
+                assert.deepStrictEqual({score: solution.score.total, length: solution.path.length}, expected, puzzle);
+                assert.strictEqual(solution.optimal, true, puzzle);
+            }
+        });
+    }
+
+    test('finds interleaved daemons with subsequence matching', () => {
+        const codeMatrix = [['1C', 'FF', 'FF'], ['55', 'FF', '7A'], ['7A', 'FF', 'FF']];
+        const solution = solveBreachProtocol(codeMatrix, [['1C', '55'], ['1C', '7A']], 3, {matchMode: 'subsequence'});
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), ['1C', '55', '7A']);
+        assert.deepStrictEqual(solution.completedSequences, [0, 1]);
+    });
+
+    test('keeps daemons the cells already selected uploaded when nothing more can be', () => {
+        const codeMatrix = [['1C', '55', 'FF'], ['7A', 'BD', 'FF'], ['E9', 'FF', 'FF']];
+        const selected = [{row: 0, col: 0}, {row: 1, col: 0}, {row: 1, col: 1}];
+        const solution = solveBreachProtocol(codeMatrix, [['1C', '7A'], ['E9', 'E9']], 4, {selected});
+
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), ['1C', '7A']);
+        assert.deepStrictEqual(solution.completedSequences, [0]);
+        assert.strictEqual(solution.score.total, 1);
+        assert.strictEqual(solution.alreadySelected, 3);
+    });
+
+    test('returns the cells already selected when no daemon can be uploaded', () => {
+        const codeMatrix = [['1C', '55', 'FF'], ['7A', 'BD', 'FF'], ['E9', 'FF', 'FF']];
+        const solution = solveBreachProtocol(codeMatrix, [['E9', 'E9']], 4, {selected: [{row: 0, col: 0}, {row: 1, col: 0}]});
+
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), ['1C', '7A']);
+        assert.deepStrictEqual(solution.completedSequences, []);
+        assert.strictEqual(solution.score.bufferUsed, 2);
+    });
+
+    test('only uploads a daemon entered as consecutive codes with contiguous matching', () => {
+        const codeMatrix = [['1C', 'FF'], ['55', '7A']];
+        const contiguous = solveBreachProtocol(codeMatrix, [['1C', '7A']], 3);
+        assert.deepStrictEqual(contiguous.completedSequences, []);
+
+        const subsequence = solveBreachProtocol(codeMatrix, [['1C', '7A']], 3, {matchMode: 'subsequence'});
+        assert.deepStrictEqual(subsequence.path.map(pos => pos.value), ['1C', '55', '7A']);
+        assert.deepStrictEqual(subsequence.completedSequences, [0]);
+    });
+
+    test('lets contiguous daemons share codes', () => {
+        const codeMatrix = [['55', 'FF', 'FF'], ['1C', '7A', 'FF'], ['FF', 'FF', 'FF']];
+        const solution = solveBreachProtocol(codeMatrix, [['55', '1C'], ['1C', '7A']], 3);
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), ['55', '1C', '7A']);
+        assert.deepStrictEqual(solution.completedSequences, [0, 1]);
+    });
+
+    test('refuses an unknown match mode', () => {
+        assert.throws(() => new BreachProtocol([['1C']], [['1C']], 1, {matchMode: 'loose'}), /Unknown match mode "loose"/);
+    });
+
+    test('matches a brute force search with daemon weights', () => {
+        const random = createRandom('weights');
+        const tiers = Object.keys(TIER_WEIGHTS);
+        for (let i = 0; i < 100; i++) {
+            const {codeMatrix, requiredSequences, bufferSize} = randomPuzzle(random);
+            const weights = requiredSequences.map(() => tiers[Math.floor(random() * tiers.length)]);
+            const expected = bruteForce(codeMatrix, requiredSequences, bufferSize, 'contiguous', weights.map(tier => TIER_WEIGHTS[tier]));
+            const solution = solveBreachProtocol(codeMatrix, requiredSequences, bufferSize, {weights});
+
+            const puzzle = JSON.stringify({codeMatrix, requiredSequences, bufferSize, weights});
+            assert.deepStrictEqual({score: solution.score.total, length: solution.path.length}, expected, puzzle);
+        }
+    });
+
+    test('uploads the higher weighted daemon when both do not fit', () => {
+        const codeMatrix = [['1C', '55', 'FF'], ['7A', 'BD', 'E9'], ['FF', 'FF', 'FF']];
+        const requiredSequences = [['55', 'BD', 'E9'], ['1C', '7A']];
+
+        const unweighted = solveBreachProtocol(codeMatrix, requiredSequences, 4);
+        assert.deepStrictEqual(unweighted.path.map(pos => pos.value), ['1C', '7A'], 'the shorter buffer wins a tie');
+
+        const weighted = solveBreachProtocol(codeMatrix, requiredSequences, 4, {weights: ['expert', 'basic']});
+        assert.deepStrictEqual(weighted.path.map(pos => pos.value), ['55', 'BD', 'E9']);
+        assert.strictEqual(weighted.score.total, TIER_WEIGHTS.expert);
+        assert.strictEqual(weighted.score.maximum, TIER_WEIGHTS.expert + TIER_WEIGHTS.basic);
+    });
+
+    test('ranks alternative solutions and reports each once', () => {
+        const codeMatrix = [['1C', '55', 'BD'], ['E9', '1C', '55'], ['BD', 'E9', '1C']];
+        const solutions = solveAll(codeMatrix, [['1C', 'E9'], ['55', '1C']], 4, {limit: 5});
+        assert.strictEqual(solutions.length, 5);
+        assert.deepStrictEqual(solutions[0], solveBreachProtocol(codeMatrix, [['1C', 'E9'], ['55', '1C']], 4));
+
+        solutions.slice(1).forEach((solution, i) => {
+            const previous = solutions[i];
+            assert.ok(solution.score.total < previous.score.total ||
+                (solution.score.total === previous.score.total && solution.path.length >= previous.path.length), 'best first');
+        });
+
+        // Paths end at the move completing their last daemon, so none only differs in wasted moves at the end
+        solutions.forEach(solution => {
+            const completedAt = Math.max(...solution.score.sequences.map(seq => seq.completedAt || 0));
+            assert.strictEqual(solution.path.length, completedAt);
+        });
+        const keys = solutions.map(solution => solution.path.map(pos => `${pos.row},${pos.col}`).join(' '));
+        assert.strictEqual(new Set(keys).size, keys.length);
+    });
+
+    test('refuses a limit on alternative solutions that is not a positive whole number', () => {
+        const codeMatrix = [['1C', '55'], ['E9', 'BD']];
+        for (const limit of [0, -1, 1.5, '3']) {
+            assert.throws(() => solveAll(codeMatrix, [['1C', 'E9']], 4, {limit}), {message: `Invalid limit: ${limit}, expected a positive whole number of solutions`});
+            assert.throws(() => new BreachProtocol(codeMatrix, [['1C', 'E9']], 4).solveAll(limit), /Invalid limit/);
+        }
+    });
+
+    test('matches a brute force search in its analysis of a puzzle', () => {
+        const random = createRandom('analysis');
+        for (let i = 0; i < 100; i++) {
+            const {codeMatrix, requiredSequences, bufferSize} = randomPuzzle(random);
+            const expected = bruteForceAnalysis(codeMatrix, requiredSequences, bufferSize);
+            const analysis = analyzePuzzle(codeMatrix, requiredSequences, bufferSize);
+
+            const puzzle = JSON.stringify({codeMatrix, requiredSequences, bufferSize});
+            assert.strictEqual(analysis.complete, true, puzzle);
+            assert.strictEqual(analysis.bestScore, expected.bestScore, puzzle);
+            assert.strictEqual(analysis.winningPaths, expected.winningPaths, puzzle);
+
+            const minBuffers = Object.fromEntries(analysis.subsets.map(subset => [subset.sequences.join(','), subset.minBuffer]));
+            assert.deepStrictEqual(minBuffers, expected.minBuffers, puzzle);
+            analysis.subsets.forEach(subset => {
+                assert.strictEqual(subset.achievable, subset.minBuffer !== null, puzzle);
+                assert.strictEqual(subset.score, subset.sequences.length, puzzle);
+            });
+            assert.strictEqual(analysis.allAchievable, expected.minBuffers[requiredSequences.map((sequence, index) => index).join(',')] !== null, puzzle);
+            assert.strictEqual(analysis.difficulty.rating === 'impossible', expected.bestScore === 0, puzzle);
+        }
+    });
+
+    test('rates a puzzle harder the less room it leaves', () => {
+        // The daemon fits with buffer to spare, along any of the 12 paths picking two codes
+        const roomy = analyzePuzzle(Array.from({length: 4}, () => ['1C', '1C', '1C', '1C']), [['1C', '1C']], 6);
+        assert.strictEqual(roomy.winningPaths, 12);
+        assert.deepStrictEqual(roomy.difficulty, {rating: 'easy', points: 0});
+
+        // Only one daemon fits, with no slot to spare, along the single path 55 BD E9
+        const tight = analyzePuzzle([['1C', '55', 'FF'], ['7A', 'BD', 'E9'], ['FF', 'FF', 'FF']], [['55', 'BD', 'E9'], ['7A', '1C']], 3);
+        assert.strictEqual(tight.allAchievable, false);
+        assert.strictEqual(tight.winningPaths, 1);
+        assert.deepStrictEqual(tight.difficulty, {rating: 'very hard', points: 6});
+
+        const impossible = analyzePuzzle([['1C', '55'], ['7A', 'BD']], [['E9', 'FF']], 3);
+        assert.deepStrictEqual(impossible.difficulty, {rating: 'impossible', points: null});
+    });
+
+    test('solves rectangular matrices', () => {
+        const solution = solveBreachProtocol([['1C', '55', '7A'], ['BD', 'E9', 'FF']], [['7A', 'FF', 'BD']], 4);
+        assert.deepStrictEqual(solution.path.map(pos => [pos.row, pos.col]), [[0, 2], [1, 2], [1, 0]]);
+    });
+
+    test('refuses a matrix with rows of different lengths', () => {
+        assert.throws(() => new BreachProtocol([['1C', '55'], ['7A']], [['1C']], 3),
+            {message: 'Row 2 of the code matrix has 1 codes, expected 2 like row 1'});
+    });
+
+    test('refuses rows, sequences and codes that are not lists of codes', () => {
+        const refused = [
+            [[['1C', '55'], '7A BD'], [['1C']], 'Row 2 of the code matrix is empty or not an array'],
+            [[['1C', 55]], [['1C']], 'Row 1 of the code matrix has 55 in column 2, expected a code such as "1C"'],
+            [[['1C', '55']], ['1C'], 'Required sequence 1 is empty or not an array'],
+            [[['1C', '55']], [['1C'], []], 'Required sequence 2 is empty or not an array'],
+            [[['1C', '55']], [['1C', 0x55]], 'Required sequence 1 has 85 at position 2, expected a code such as "1C"'],
+            [[['1C', '55']], '1C 55', 'Required sequences must be an array of sequences']
+        ];
+        for (const [codeMatrix, requiredSequences, message] of refused) {
+            assert.throws(() => new BreachProtocol(codeMatrix, requiredSequences, 3), {message});
+        }
+    });
+
+    test('stops at the time budget with the best solution found so far', () => {
+        // Five long daemons in a large grid take the search far longer than a millisecond
+        const random = createRandom('slow search');
+        const codes = ['1C', '55', '7A', 'BD', 'E9', 'FF'];
+        const pick = () => codes[Math.floor(random() * codes.length)];
+        const codeMatrix = Array.from({length: 8}, () => Array.from({length: 8}, pick));
+        const requiredSequences = Array.from({length: 5}, () => Array.from({length: 5}, pick));
+
+        const complete = solveBreachProtocol(codeMatrix, requiredSequences, 16);
+        assert.strictEqual(complete.optimal, true);
+
+        const budgeted = solveBreachProtocol(codeMatrix, requiredSequences, 16, {timeBudgetMs: 1});
+        assert.strictEqual(budgeted.optimal, false);
+        assert.ok(budgeted.score.total <= complete.score.total);
+    });
+
+    test('refuses a buffer size that is not a positive whole number', () => {
+        for (const bufferSize of ['abc', -3, 0, 2.5, undefined]) {
+            assert.throws(() => new BreachProtocol([['1C']], [['1C']], bufferSize),
+                {message: `Invalid buffer size: ${bufferSize}, expected a positive whole number of slots`});
+        }
+    });
+
+    test('refuses a time budget that is not a positive number', () => {
+        assert.throws(() => new BreachProtocol([['1C']], [['1C']], 1, {timeBudgetMs: 0}), /Invalid time budget: 0/);
+    });
+
+    test('prefers a path that relies on no uncertain cell, even if longer', () => {
+        const codeMatrix = [['1C', 'FF', 'FF'], [WILDCARD, 'FF', 'FF'], ['FF', '1C', '55']];
+
+        const certain = solveBreachProtocol(codeMatrix, [['1C', '55']], 3);
+        assert.deepStrictEqual(certain.path.map(pos => [pos.row, pos.col]), [[0, 1], [2, 1], [2, 2]]);
+        assert.deepStrictEqual(certain.assumptions, []);
+
+        // Without the buffer for that, uploading the daemon beats not relying on the unread cell
+        const assumed = solveBreachProtocol(codeMatrix, [['1C', '55']], 2);
+        assert.deepStrictEqual(assumed.path.map(pos => pos.value), ['1C', '55']);
+        assert.strictEqual(assumed.path[1].assumed, true);
+        assert.deepStrictEqual(assumed.assumptions, [{row: 1, col: 0, code: '55', candidates: null}]);
+    });
+
+    test('only assumes an uncertain cell is one of its candidates', () => {
+        const codeMatrix = [['1C', 'FF'], [['55', 'BD'], 'FF']];
+
+        const solution = solveBreachProtocol(codeMatrix, [['1C', 'BD']], 2);
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), ['1C', 'BD']);
+        assert.deepStrictEqual(solution.assumptions, [{row: 1, col: 0, code: 'BD', candidates: ['55', 'BD']}]);
+
+        const notCandidate = solveBreachProtocol(codeMatrix, [['1C', '7A']], 2);
+        assert.deepStrictEqual(notCandidate.completedSequences, []);
+    });
+
+    test('assumes nothing about an uncertain cell it only passes through', () => {
+        const solution = solveBreachProtocol([[WILDCARD, '1C'], ['FF', '55']], [['FF', '55']], 3);
+        assert.deepStrictEqual(solution.path.map(pos => pos.value), [WILDCARD, 'FF', '55']);
+        assert.deepStrictEqual(solution.completedSequences, [0]);
+        assert.deepStrictEqual(solution.assumptions, []);
+    });
+});
@@ -0,0 +1,91 @@
+// Tests of the solver pool: running, timing out, cancelling and queueing jobs on worker threads
+const {describe, test, afterEach} = require('node:test');
+const assert = require('node:assert');
+const {SolverPool} = require('../fromClaudeWithTesseractOcr/SolverPool');
+const {WILDCARD} = require('../fromClaudeWithTesseractOcr/BreachProtocol');
+const {createRandom} = require('../fromClaudeWithTesseractOcr/puzzleGenerator');
+
+const SMALL_TASK = {
+    codeMatrix: [['1C', '55'], ['E9', 'BD']],
+    requiredSequences: [['1C', 'E9']],
+    bufferSize: 4
+};
+
+/**
+ * A puzzle with half its cells unread, which takes the solver far longer than any test waits for
+ * @returns {Object} Solver task, see SolverPool.submit
+ */
+function slowTask() {
+    const random = createRandom('slow');
+    const codes = ['1C', '55', '7A', 'BD', 'E9', 'FF'];
+    const pick = () => codes[Math.floor(random() * codes.length)];
+    return {
+        codeMatrix: Array.from({length: 7}, () => Array.from({length: 7}, () => random() < 0.5 ? WILDCARD : pick())),
+        requiredSequences: [3, 4, 5, 3, 4].map(length => Array.from({length}, pick)),
+        bufferSize: 12
+    };
+}
+
+describe('Solver pool', () => {
+    let pool;
+
+    afterEach(async () => {
+        await pool.close();
+    });
+
+    test('solves a job and keeps its result for lookups', async () => {
+        pool = new SolverPool({concurrency: 1});
+        const job = pool.submit(SMALL_TASK);
+
+        const solution = await job.promise;
+        assert.deepStrictEqual(solution.completedSequences, [0]);
+
+        const status = pool.getJob(job.id);
+        assert.strictEqual(status.status, 'completed');
+        assert.deepStrictEqual(status.result, solution);
+        assert.strictEqual(pool.getJob('unknown'), null);
+    });
+
+    test('times out a job that runs too long', async () => {
+        pool = new SolverPool({concurrency: 1, timeoutMs: 200});
+        const job = pool.submit(slowTask());
+
+        await assert.rejects(job.promise, {message: 'Solver timed out after 200ms'});
+        assert.strictEqual(pool.getJob(job.id).status, 'timed-out');
+
+        // The worker is replaced, so the pool carries on
+        assert.deepStrictEqual((await pool.submit(SMALL_TASK).promise).completedSequences, [0]);
+    });
+
+    test('cancels queued and running jobs', async () => {
+        pool = new SolverPool({concurrency: 1});
+        const running = pool.submit(slowTask());
+        const queued = pool.submit(SMALL_TASK);
+        assert.strictEqual(pool.getJob(queued.id).queuePosition, 1);
+
+        assert.strictEqual(pool.cancel(queued.id), true);
+        await assert.rejects(queued.promise, {message: 'Job cancelled'});
+        assert.strictEqual(pool.getJob(queued.id).status, 'cancelled');
+
+        assert.strictEqual(pool.cancel(running.id), true);
+        await assert.rejects(running.promise, {message: 'Job cancelled'});
+        assert.strictEqual(pool.cancel(running.id), false, 'already finished');
+
+        assert.deepStrictEqual((await pool.submit(SMALL_TASK).promise).completedSequences, [0]);
+    });
+
+    test('refuses jobs once the queue is full', async () => {
+        pool = new SolverPool({concurrency: 1, maxQueue: 1});
+        pool.submit(slowTask());
+        pool.submit(SMALL_TASK);
+        assert.throws(() => pool.submit(SMALL_TASK), {message: 'Solver queue is full, try again shortly'});
+    });
+
+    test('fails a job the solver refuses', async () => {
+        pool = new SolverPool({concurrency: 1});
+        const job = pool.submit({...SMALL_TASK, codeMatrix: [['1C', '55'], ['E9']]});
+
+        await assert.rejects(job.promise, {message: 'Row 2 of the code matrix has 1 codes, expected 2 like row 1'});
+        assert.strictEqual(pool.getJob(job.id).status, 'failed');
+    });
+});